@@ -0,0 +1,102 @@
+// ActorIcon.mjs
+import fs from 'fs';
+import crypto from 'crypto';
+import { ValidationError } from './WebsyError.mjs';
+
+// Limits checked before an icon is uploaded
+const ICON_FORMATS = ['png', 'jpeg'];
+const ICON_MAX_BYTES = 5 * 1024 * 1024;
+const ICON_MIN_SIZE = 256;
+const ICON_MAX_SIZE = 4096;
+
+/**
+ * ActorIcon - Reads and checks the icon file referenced by actor_details.icon
+ */
+class ActorIcon {
+    /**
+     * Read image format and dimensions from the file header (PNG and JPEG)
+     * @param {Buffer} buffer - Image content
+     * @returns {object|null} - { format, width, height } or null if not a supported image
+     */
+    static inspect(buffer) {
+        // PNG: signature followed by the IHDR chunk
+        if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+            return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+
+        // JPEG: walk segments until a start-of-frame marker
+        if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+            let offset = 2;
+            while (offset + 9 < buffer.length) {
+                if (buffer[offset] !== 0xff) return null;
+                const marker = buffer[offset + 1];
+                const length = buffer.readUInt16BE(offset + 2);
+                const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+                if (isStartOfFrame) {
+                    return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+                }
+                offset += 2 + length;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Load an icon file and collect its properties
+     * @param {string} iconPath - Path to the image
+     * @returns {object} - { path, buffer, bytes, hash, format, width, height }
+     * @throws {ValidationError} - When the file doesn't exist
+     */
+    static load(iconPath) {
+        if (!fs.existsSync(iconPath)) {
+            throw new ValidationError(`Icon file not found: ${iconPath}`, [`Icon file not found: ${iconPath}`]);
+        }
+        const buffer = fs.readFileSync(iconPath);
+        const info = ActorIcon.inspect(buffer) || { format: null, width: null, height: null };
+        return {
+            path: iconPath,
+            buffer,
+            bytes: buffer.length,
+            hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+            ...info
+        };
+    }
+
+    /**
+     * Check an icon against the upload limits
+     * @param {object} icon - Result of ActorIcon.load
+     * @returns {string[]} - Problems (empty when the icon is fine)
+     */
+    static validate(icon) {
+        const errors = [];
+        if (!ICON_FORMATS.includes(icon.format)) {
+            errors.push(`${icon.path}: unsupported image format (use ${ICON_FORMATS.join(' or ')})`);
+            return errors;
+        }
+        if (icon.bytes > ICON_MAX_BYTES) {
+            errors.push(`${icon.path}: file is ${(icon.bytes / 1024 / 1024).toFixed(1)} MB, maximum is ${ICON_MAX_BYTES / 1024 / 1024} MB`);
+        }
+        if (icon.width !== icon.height) {
+            errors.push(`${icon.path}: icon must be square (got ${icon.width}x${icon.height})`);
+        }
+        if (Math.min(icon.width, icon.height) < ICON_MIN_SIZE) {
+            errors.push(`${icon.path}: icon must be at least ${ICON_MIN_SIZE}x${ICON_MIN_SIZE} (got ${icon.width}x${icon.height})`);
+        }
+        if (Math.max(icon.width, icon.height) > ICON_MAX_SIZE) {
+            errors.push(`${icon.path}: icon must be at most ${ICON_MAX_SIZE}x${ICON_MAX_SIZE} (got ${icon.width}x${icon.height})`);
+        }
+        return errors;
+    }
+
+    /**
+     * Short human readable description, e.g. "512x512 png, 34 KB"
+     * @param {object} icon - Result of ActorIcon.load
+     * @returns {string} - Description
+     */
+    static describe(icon) {
+        return `${icon.width}x${icon.height} ${icon.format}, ${Math.ceil(icon.bytes / 1024)} KB`;
+    }
+}
+
+export { ActorIcon };
@@ -1,6 +1,65 @@
 // ActorSchemaManager.mjs
 import fs from 'fs';
 import { join } from 'path';
+import { Logger } from './Logger.mjs';
+import { SpecError } from './WebsyError.mjs';
+
+// Apify input schema vocabulary: keys and editors allowed per field type
+const INPUT_COMMON_KEYS = ['title', 'type', 'description', 'editor', 'default', 'prefill', 'example', 'nullable', 'sectionCaption', 'sectionDescription'];
+const INPUT_TYPE_RULES = {
+    string: {
+        editors: ['textfield', 'textarea', 'javascript', 'python', 'select', 'datepicker', 'fileupload', 'hidden', 'resourcePicker'],
+        keys: ['pattern', 'minLength', 'maxLength', 'enum', 'enumTitles', 'isSecret', 'dateType', 'resourceType']
+    },
+    boolean: {
+        editors: ['checkbox', 'hidden'],
+        keys: ['groupCaption', 'groupDescription']
+    },
+    integer: {
+        editors: ['number', 'hidden'],
+        keys: ['minimum', 'maximum', 'unit']
+    },
+    number: {
+        editors: ['number', 'hidden'],
+        keys: ['minimum', 'maximum', 'unit']
+    },
+    object: {
+        editors: ['json', 'proxy', 'hidden'],
+        keys: ['patternKey', 'patternValue', 'minProperties', 'maxProperties', 'isSecret']
+    },
+    array: {
+        editors: ['json', 'requestListSources', 'pseudoUrls', 'globs', 'keyValue', 'stringList', 'select', 'hidden', 'resourcePicker'],
+        keys: ['minItems', 'maxItems', 'uniqueItems', 'items', 'placeholderKey', 'placeholderValue', 'patternKey', 'patternValue', 'resourceType']
+    }
+};
+// Keys that only make sense with one editor
+const INPUT_EDITOR_KEYS = {
+    dateType: ['datepicker'],
+    resourceType: ['resourcePicker'],
+    placeholderKey: ['keyValue'],
+    placeholderValue: ['keyValue', 'stringList'],
+    isSecret: ['textfield', 'textarea', 'hidden', 'json']
+};
+// Spec-only keys that are not copied into input_schema.json
+const INPUT_SPEC_KEYS = ['desc', 'group'];
+// Field names that get the proxy editor when no type/editor is given
+const PROXY_FIELD_NAMES = ['proxy', 'proxyConfiguration', 'proxy_configuration'];
+
+// Text the generator adds for field_group toggles (see describeToggles); import turns it back into field_groups
+const TOGGLE_SENTENCE_PATTERN = /\s*Filled when ("[^"]*"(?: or "[^"]*")*) is enabled\.$/;
+const GROUP_VIEW_DESCRIPTION_PATTERN = /^Filled when ("[^"]*"(?: or "[^"]*")*) is enabled\. Adds: (.*)\.$/;
+
+// Files written into .actor/, keyed like the object returned by generateAllSchemas()
+const SCHEMA_FILES = {
+    actor: 'actor.json',
+    inputSchema: 'input_schema.json',
+    datasetSchema: 'dataset_schema.json',
+    outputSchema: 'output_schema.json',
+    keyValueStoreSchema: 'key_value_store_schema.json'
+};
+// Maps whose entries come from the spec; merge mode doesn't resurrect entries removed from them
+// (`storages` is not one: hand-added storages in actor.json are kept like any other unknown key)
+const NAMED_MAP_KEYS = ['properties', 'views', 'collections', 'environmentVariables'];
 
 /**
  * ActorSchemaManager - Generates Apify actor schema files from a unified YAML config
@@ -10,6 +69,7 @@ import { join } from 'path';
  *   - .actor/input_schema.json
  *   - .actor/dataset_schema.json
  *   - .actor/output_schema.json
+ *   - .actor/key_value_store_schema.json (when schemas.key_value_store is set)
  *   - ./INPUT.json (optional)
  */
 class ActorSchemaManager {
@@ -19,12 +79,16 @@ class ActorSchemaManager {
      * @param {string} options.basePath - Base path for file generation (default: process.cwd())
      * @param {boolean} options.dryRun - If true, return schemas without writing files
      * @param {boolean} options.verbose - If true, log detailed output
+     * @param {boolean} options.merge - If true, keep keys that only exist in the current .actor files
+     * @param {object} options.logger - Logger with info/warn/error/debug (default: console)
      */
     constructor(config, options = {}) {
         this.config = config;
         this.basePath = options.basePath || process.cwd();
         this.dryRun = options.dryRun || false;
         this.verbose = options.verbose || false;
+        this.merge = options.merge || false;
+        this.logger = Logger.from(options.logger);
         
         this.actorDir = join(this.basePath, '.actor');
     }
@@ -49,7 +113,8 @@ class ActorSchemaManager {
      */
     static inferFormat(fieldName, fieldConfig) {
         if (fieldConfig.format) return fieldConfig.format;
-        if (fieldConfig.array) return 'array';
+        if (fieldConfig.array || fieldConfig.items) return 'array';
+        if (fieldConfig.properties || fieldConfig.type === 'object') return 'object';
         if (fieldName.endsWith('_url') || fieldName === 'website') return 'link';
         if (fieldName.endsWith('_links')) return 'array';
         return 'text';
@@ -62,18 +127,25 @@ class ActorSchemaManager {
      */
     static inferType(fieldConfig) {
         if (fieldConfig.type) return fieldConfig.type;
-        if (fieldConfig.array) return 'array';
+        if (fieldConfig.array || fieldConfig.items) return 'array';
+        if (fieldConfig.properties) return 'object';
         return 'string';
     }
 
     /**
      * Infer editor type for input fields
      * @param {object} fieldConfig - The field configuration
+     * @param {string} fieldName - The field name (proxy fields get the proxy editor)
      * @returns {string} - The editor type
      */
-    static inferEditor(fieldConfig) {
+    static inferEditor(fieldConfig, fieldName = '') {
         if (fieldConfig.editor) return fieldConfig.editor;
-        const type = fieldConfig.type || 'string';
+        const type = ActorSchemaManager.inferInputType(fieldConfig, fieldName);
+        if (type === 'object' && PROXY_FIELD_NAMES.includes(fieldName)) return 'proxy';
+        if (fieldConfig.resourceType) return 'resourcePicker';
+        if (fieldConfig.dateType) return 'datepicker';
+        if (type === 'string' && fieldConfig.enum) return 'select';
+        if (type === 'array' && fieldConfig.items?.enum) return 'select';
         switch (type) {
             case 'integer':
             case 'number':
@@ -82,11 +154,91 @@ class ActorSchemaManager {
                 return 'checkbox';
             case 'array':
                 return 'stringList';
+            case 'object':
+                return 'json';
             default:
                 return 'textfield';
         }
     }
 
+    /**
+     * Infer the type of an input field
+     * Proxy fields (proxyConfiguration) are objects unless a type is given.
+     * @param {object} fieldConfig - The field configuration
+     * @param {string} fieldName - The field name
+     * @returns {string} - The JSON schema type
+     */
+    static inferInputType(fieldConfig, fieldName = '') {
+        if (fieldConfig.type) return fieldConfig.type;
+        if (fieldConfig.editor === 'proxy' || PROXY_FIELD_NAMES.includes(fieldName)) return 'object';
+        return 'string';
+    }
+
+    /**
+     * Check an input field against the per-type and per-editor rules of the Apify input schema
+     * @param {string} fieldName - The field name
+     * @param {object} fieldConfig - The field configuration
+     * @returns {string[]} - Problems (empty when the field is valid)
+     */
+    static validateInputField(fieldName, fieldConfig) {
+        const errors = [];
+        const type = ActorSchemaManager.inferInputType(fieldConfig, fieldName);
+        const rules = INPUT_TYPE_RULES[type];
+        if (!rules) {
+            return [`Input field '${fieldName}' has unknown type '${type}'`];
+        }
+
+        const editor = ActorSchemaManager.inferEditor(fieldConfig, fieldName);
+        if (!rules.editors.includes(editor)) {
+            errors.push(`Input field '${fieldName}': editor '${editor}' is not valid for type ${type} (use ${rules.editors.join(', ')})`);
+        }
+
+        for (const key of Object.keys(fieldConfig)) {
+            if (INPUT_COMMON_KEYS.includes(key) || INPUT_SPEC_KEYS.includes(key)) continue;
+            if (!rules.keys.includes(key)) {
+                errors.push(`Input field '${fieldName}': '${key}' is not valid for type ${type}`);
+            } else if (INPUT_EDITOR_KEYS[key] && !INPUT_EDITOR_KEYS[key].includes(editor)) {
+                errors.push(`Input field '${fieldName}': '${key}' requires editor ${INPUT_EDITOR_KEYS[key].join(' or ')} (got '${editor}')`);
+            }
+        }
+
+        if (editor === 'select') {
+            const options = type === 'array' ? fieldConfig.items?.enum : fieldConfig.enum;
+            if (!Array.isArray(options) || options.length === 0) {
+                errors.push(`Input field '${fieldName}': editor 'select' requires ${type === 'array' ? 'items.enum' : 'enum'}`);
+            }
+        }
+        if (editor === 'resourcePicker' && !fieldConfig.resourceType) {
+            errors.push(`Input field '${fieldName}': editor 'resourcePicker' requires resourceType`);
+        }
+
+        for (const owner of [fieldConfig, fieldConfig.items || {}]) {
+            if (owner.enumTitles === undefined) continue;
+            if (!Array.isArray(owner.enum)) {
+                errors.push(`Input field '${fieldName}': enumTitles requires enum`);
+            } else if (owner.enumTitles.length !== owner.enum.length) {
+                errors.push(`Input field '${fieldName}': enumTitles has ${owner.enumTitles.length} entries but enum has ${owner.enum.length}`);
+            }
+        }
+
+        const pairs = [['minimum', 'maximum'], ['minLength', 'maxLength'], ['minItems', 'maxItems'], ['minProperties', 'maxProperties']];
+        for (const [min, max] of pairs) {
+            if (fieldConfig[min] !== undefined && fieldConfig[max] !== undefined && fieldConfig[min] > fieldConfig[max]) {
+                errors.push(`Input field '${fieldName}': ${min} (${fieldConfig[min]}) is greater than ${max} (${fieldConfig[max]})`);
+            }
+        }
+
+        if (fieldConfig.pattern !== undefined) {
+            try {
+                new RegExp(fieldConfig.pattern);
+            } catch (e) {
+                errors.push(`Input field '${fieldName}': pattern is not a valid regular expression (${e.message})`);
+            }
+        }
+
+        return errors;
+    }
+
     /**
      * Get all dataset fields including those from field_groups
      * @returns {object} - Combined fields object
@@ -127,6 +279,165 @@ class ActorSchemaManager {
         return mapping;
     }
 
+    /**
+     * Describe each dataset field_group with the input toggles that enable it
+     * @returns {object} - { groupName: { fields: string[], toggles: [{ field, title }] } }
+     */
+    getFieldGroups() {
+        const fieldGroups = this.config.dataset?.field_groups || {};
+        const inputFields = this.config.input?.fields || {};
+        const groups = {};
+
+        for (const [groupName, groupFields] of Object.entries(fieldGroups)) {
+            groups[groupName] = { fields: Object.keys(groupFields || {}), toggles: [] };
+        }
+        for (const [inputName, groupName] of this.getInputGroupMapping()) {
+            if (!groups[groupName]) continue;
+            const title = inputFields[inputName].title || ActorSchemaManager.toTitleCase(inputName);
+            groups[groupName].toggles.push({ field: inputName, title });
+        }
+        return groups;
+    }
+
+    /**
+     * List the dataset fields that stay empty for a given input
+     * A field_group is filled when at least one of its toggles is truthy in the input
+     * (or in the input defaults when the input omits it).
+     * @param {object} input - The actor input
+     * @returns {object} - { fieldName: groupName } for fields of disabled groups
+     */
+    getEmptyFieldsForInput(input = {}) {
+        const defaults = this.generateDefaultInput();
+        const emptyFields = {};
+
+        for (const [groupName, group] of Object.entries(this.getFieldGroups())) {
+            if (group.toggles.length === 0) continue;
+            const enabled = group.toggles.some(({ field }) => Boolean(input[field] !== undefined ? input[field] : defaults[field]));
+            if (enabled) continue;
+            for (const fieldName of group.fields) {
+                emptyFields[fieldName] = groupName;
+            }
+        }
+        return emptyFields;
+    }
+
+    /**
+     * Sentence appended to descriptions of fields filled only when an input toggle is on
+     * @param {object[]} toggles - Toggles from getFieldGroups()
+     * @returns {string} - e.g. 'Filled when "Fetch Reviews" is enabled.'
+     */
+    static describeToggles(toggles) {
+        return `Filled when ${toggles.map(toggle => `"${toggle.title}"`).join(' or ')} is enabled.`;
+    }
+
+    /**
+     * Build one view per field_group that has an input toggle, e.g. "Overview + Reviews"
+     * The group fields are appended to the first view of the spec. Views defined in the
+     * spec under the same name win; `dataset.group_views: false` turns this off.
+     * @returns {object} - Views keyed by name, in spec format
+     */
+    generateGroupViews() {
+        const dataset = this.config.dataset || {};
+        const [baseName, baseView] = Object.entries(dataset.views || {})[0] || [];
+        if (dataset.group_views === false || !baseView) return {};
+
+        const baseTitle = baseView.title || ActorSchemaManager.toTitleCase(baseName);
+        const views = {};
+        for (const [groupName, group] of Object.entries(this.getFieldGroups())) {
+            const viewName = `${baseName}_${groupName}`;
+            if (group.toggles.length === 0 || dataset.views[viewName]) continue;
+            views[viewName] = {
+                ...baseView,
+                title: `${baseTitle} + ${ActorSchemaManager.toTitleCase(groupName)}`,
+                description: `${ActorSchemaManager.describeToggles(group.toggles)} Adds: ${group.fields.join(', ')}.`,
+                fields: [...(baseView.fields || []), ...group.fields.filter(name => !(baseView.fields || []).includes(name))]
+            };
+        }
+        return views;
+    }
+
+    /**
+     * Build the dataset JSON schema of a field, including nested properties and array items
+     * @param {string} fieldName - The field name
+     * @param {object} fieldConfig - The field configuration
+     * @returns {object} - JSON schema for the field
+     */
+    static buildFieldSchema(fieldName, fieldConfig) {
+        const fieldType = ActorSchemaManager.inferType(fieldConfig);
+        const field = {
+            type: fieldConfig.nullable === false ? fieldType : [fieldType, 'null'],
+            title: fieldConfig.title || ActorSchemaManager.toTitleCase(fieldName),
+            description: fieldConfig.description || fieldConfig.desc || ''
+        };
+        return Object.assign(field, ActorSchemaManager.buildNestedSchema(fieldType, fieldConfig));
+    }
+
+    /**
+     * Build `items` for arrays and `properties` for objects
+     * @param {string} fieldType - The resolved field type
+     * @param {object} fieldConfig - The field (or items) configuration
+     * @returns {object} - { items } / { properties } or empty object
+     */
+    static buildNestedSchema(fieldType, fieldConfig) {
+        if (fieldType === 'array') {
+            return { items: ActorSchemaManager.buildItemsSchema(fieldConfig) };
+        }
+        if (fieldType === 'object' && fieldConfig.properties) {
+            const properties = {};
+            for (const [name, config] of Object.entries(fieldConfig.properties)) {
+                properties[name] = ActorSchemaManager.buildFieldSchema(name, config || {});
+            }
+            return { properties };
+        }
+        return {};
+    }
+
+    /**
+     * Build the `items` schema of an array field
+     * Array items are not nullable unless `items.nullable: true` is set.
+     * @param {object} fieldConfig - The array field configuration
+     * @returns {object} - JSON schema for the items
+     */
+    static buildItemsSchema(fieldConfig) {
+        const itemsConfig = fieldConfig.items;
+        if (!itemsConfig) {
+            return { type: fieldConfig.itemType || 'string' };
+        }
+
+        const itemType = itemsConfig.type
+            || (itemsConfig.properties ? 'object' : null)
+            || (itemsConfig.items || itemsConfig.array ? 'array' : null)
+            || fieldConfig.itemType
+            || 'string';
+        const items = { type: itemsConfig.nullable === true ? [itemType, 'null'] : itemType };
+        if (itemsConfig.title) items.title = itemsConfig.title;
+        if (itemsConfig.description || itemsConfig.desc) items.description = itemsConfig.description || itemsConfig.desc;
+        return Object.assign(items, ActorSchemaManager.buildNestedSchema(itemType, itemsConfig));
+    }
+
+    /**
+     * Look up the configuration of a field referenced in a view
+     * Supports dotted paths into object properties (seller.name) and, for views that
+     * `unwind` an array field, the properties of its items.
+     * @param {string} fieldName - Field name or dotted path
+     * @param {object} viewConfig - The view configuration
+     * @param {object} allFields - Result of getAllDatasetFields()
+     * @returns {object|null} - The field configuration or null if unknown
+     */
+    static resolveViewField(fieldName, viewConfig, allFields) {
+        const [rootName, ...rest] = fieldName.split('.');
+        let config = allFields[rootName];
+
+        if (!config && viewConfig.unwind) {
+            config = allFields[viewConfig.unwind]?.items?.properties?.[rootName];
+        }
+
+        for (const part of rest) {
+            config = config?.properties?.[part];
+        }
+        return config || null;
+    }
+
     /**
      * Generate .actor/actor.json
      * @returns {object} - The actor.json content
@@ -143,11 +454,63 @@ class ActorSchemaManager {
             input: './input_schema.json',
             output: './output_schema.json',
             storages: {
-                dataset: './dataset_schema.json'
+                dataset: './dataset_schema.json',
+                ...(this.config.key_value_store ? { keyValueStore: './key_value_store_schema.json' } : {})
             }
         };
     }
 
+    /**
+     * Generate .actor/key_value_store_schema.json
+     * @returns {object|null} - The key_value_store_schema.json content, or null without schemas.key_value_store
+     */
+    generateKeyValueStoreSchema() {
+        const storeConfig = this.config.key_value_store;
+        if (!storeConfig) return null;
+
+        const collections = {};
+        for (const [name, collection] of Object.entries(storeConfig.collections || {})) {
+            const output = {
+                title: collection.title || ActorSchemaManager.toTitleCase(name),
+                description: collection.description || collection.desc || ''
+            };
+            if (collection.key !== undefined) output.key = collection.key;
+            if (collection.key_prefix !== undefined) output.keyPrefix = collection.key_prefix;
+            if (collection.content_types) output.contentTypes = collection.content_types;
+            if (collection.json_schema) output.jsonSchema = collection.json_schema;
+            collections[name] = output;
+        }
+
+        return {
+            actorKeyValueStoreSchemaVersion: 1,
+            title: storeConfig.title || 'Key-value store',
+            description: storeConfig.description || '',
+            collections
+        };
+    }
+
+    /**
+     * Output schema entries linking to the key-value store collections
+     * Single records link to the record itself, prefixed collections to the filtered key list.
+     * @returns {object} - Output schema properties keyed by collection name
+     */
+    getKeyValueStoreOutputs() {
+        const properties = {};
+        const collections = this.config.key_value_store?.collections || {};
+        for (const [name, collection] of Object.entries(collections)) {
+            if (collection.output === false) continue;
+            const template = collection.key !== undefined
+                ? `{{links.apiDefaultKeyValueStoreUrl}}/records/${collection.key}`
+                : `{{links.apiDefaultKeyValueStoreUrl}}/keys?collection=${name}`;
+            properties[name] = {
+                type: 'string',
+                title: collection.title || ActorSchemaManager.toTitleCase(name),
+                template
+            };
+        }
+        return properties;
+    }
+
     /**
      * Generate .actor/input_schema.json
      * @returns {object} - The input_schema.json content
@@ -162,23 +525,19 @@ class ActorSchemaManager {
         for (const [fieldName, fieldConfig] of Object.entries(customFields)) {
             const field = {
                 title: fieldConfig.title || ActorSchemaManager.toTitleCase(fieldName),
-                type: fieldConfig.type || 'string',
+                type: ActorSchemaManager.inferInputType(fieldConfig, fieldName),
                 description: fieldConfig.description || fieldConfig.desc || '',
-                editor: ActorSchemaManager.inferEditor(fieldConfig)
+                editor: ActorSchemaManager.inferEditor(fieldConfig, fieldName)
             };
 
-            if (fieldConfig.sectionCaption !== undefined) {
-                field.sectionCaption = fieldConfig.sectionCaption;
+            // Everything else from the Apify vocabulary is copied as-is; validate() rejects misplaced keys
+            const rules = INPUT_TYPE_RULES[field.type] || { keys: [] };
+            for (const key of [...INPUT_COMMON_KEYS, ...rules.keys]) {
+                if (field[key] === undefined && fieldConfig[key] !== undefined) {
+                    field[key] = fieldConfig[key];
+                }
             }
             
-            if (fieldConfig.prefill !== undefined) field.prefill = fieldConfig.prefill;
-            if (fieldConfig.default !== undefined) field.default = fieldConfig.default;
-            if (fieldConfig.minLength !== undefined) field.minLength = fieldConfig.minLength;
-            if (fieldConfig.maxLength !== undefined) field.maxLength = fieldConfig.maxLength;
-            if (fieldConfig.minimum !== undefined) field.minimum = fieldConfig.minimum;
-            if (fieldConfig.maximum !== undefined) field.maximum = fieldConfig.maximum;
-            if (fieldConfig.enum !== undefined) field.enum = fieldConfig.enum;
-            
             properties[fieldName] = field;
         }
         
@@ -198,23 +557,20 @@ class ActorSchemaManager {
     generateDatasetSchema() {
         const allFields = this.getAllDatasetFields();
         const dataset = this.config.dataset || {};
-        const views = dataset.views || {};
+        const views = { ...(dataset.views || {}), ...this.generateGroupViews() };
+        const fieldGroups = this.getFieldGroups();
         
         // Build fields schema
         const fieldsProperties = {};
         for (const [fieldName, fieldConfig] of Object.entries(allFields)) {
-            const fieldType = ActorSchemaManager.inferType(fieldConfig);
-                const field = {
-                    type: fieldConfig.nullable === false ? fieldType : [fieldType, 'null'],
-                    title: fieldConfig.title || ActorSchemaManager.toTitleCase(fieldName),
-                    description: fieldConfig.description || fieldConfig.desc || ''
-                };
+            const field = ActorSchemaManager.buildFieldSchema(fieldName, fieldConfig);
             
-            // Handle array types
-            if (fieldType === 'array') {
-                field.items = { type: fieldConfig.itemType || 'string' };
+            // Say which input toggle fills optional group fields
+            const toggles = fieldGroups[fieldConfig._fromGroup]?.toggles || [];
+            if (toggles.length > 0) {
+                const description = field.description && !/[.!?]$/.test(field.description) ? `${field.description}.` : field.description;
+                field.description = [description, ActorSchemaManager.describeToggles(toggles)].filter(Boolean).join(' ');
             }
-            
             fieldsProperties[fieldName] = field;
         }
         
@@ -223,27 +579,40 @@ class ActorSchemaManager {
         for (const [viewName, viewConfig] of Object.entries(views)) {
             const viewFields = viewConfig.fields || [];
             const displayProperties = {};
+            const flatten = [];
             
             for (const fieldName of viewFields) {
-                const fieldConfig = allFields[fieldName];
+                const fieldConfig = ActorSchemaManager.resolveViewField(fieldName, viewConfig, allFields);
                 if (!fieldConfig) {
                     if (this.verbose) {
-                        console.warn(`Warning: Field '${fieldName}' in view '${viewName}' not found in fields definition`);
+                        this.logger.warn(`Warning: Field '${fieldName}' in view '${viewName}' not found in fields definition`);
                     }
                     continue;
                 }
                 
+                // Nested object properties (seller.name) are shown by flattening their parent
+                const [rootName] = fieldName.split('.');
+                if (rootName !== fieldName && !flatten.includes(rootName)) {
+                    flatten.push(rootName);
+                }
+                
+                const leafName = fieldName.split('.').pop();
                 displayProperties[fieldName] = {
-                    label: fieldConfig.label || fieldConfig.title || ActorSchemaManager.toTitleCase(fieldName),
-                    format: ActorSchemaManager.inferFormat(fieldName, fieldConfig)
+                    label: fieldConfig.label || fieldConfig.title || ActorSchemaManager.toTitleCase(leafName),
+                    format: ActorSchemaManager.inferFormat(leafName, fieldConfig)
                 };
             }
             
+            const transformation = {
+                fields: [...new Set(viewFields.map(fieldName => fieldName.split('.')[0]))]
+            };
+            if (viewConfig.unwind) transformation.unwind = [viewConfig.unwind];
+            if (flatten.length > 0) transformation.flatten = flatten;
+            
             viewsOutput[viewName] = {
                 title: viewConfig.title || ActorSchemaManager.toTitleCase(viewName),
-                transformation: {
-                    fields: viewFields
-                },
+                ...(viewConfig.description ? { description: viewConfig.description } : {}),
+                transformation,
                 display: {
                     component: viewConfig.component || 'table',
                     properties: displayProperties
@@ -263,8 +632,51 @@ class ActorSchemaManager {
         };
     }
 
+    /**
+     * Output schema entries for the dataset: a plain `results` link to all items, then one per view
+     * (a view named `results` replaces the plain link)
+     * @returns {object} - Output schema properties keyed by view name
+     */
+    getDatasetOutputs() {
+        const views = this.generateDatasetSchema().views;
+        const properties = {
+            results: {
+                type: 'string',
+                title: 'Results',
+                template: '{{links.apiDefaultDatasetUrl}}/items'
+            }
+        };
+        for (const [viewName, view] of Object.entries(views)) {
+            properties[viewName] = {
+                type: 'string',
+                title: view.title,
+                template: `{{links.apiDefaultDatasetUrl}}/items?view=${viewName}`
+            };
+        }
+        return properties;
+    }
+
+    /**
+     * Output schema entries for the custom links in schemas.output.links
+     * @returns {object} - Output schema properties keyed by link name
+     */
+    getCustomOutputs() {
+        const properties = {};
+        for (const [name, link] of Object.entries(this.config.output?.links || {})) {
+            properties[name] = {
+                type: 'string',
+                title: link.title || ActorSchemaManager.toTitleCase(name),
+                ...(link.description ? { description: link.description } : {}),
+                template: link.template
+            };
+        }
+        return properties;
+    }
+
     /**
      * Generate .actor/output_schema.json
+     * Entries come from the dataset views, key-value store collections and custom links,
+     * unless `properties` are written by hand.
      * @returns {object} - The output_schema.json content
      */
     generateOutputSchema() {
@@ -275,11 +687,9 @@ class ActorSchemaManager {
             title: outputConfig.title || 'Scraper Results',
             description: outputConfig.description || 'Scraper Results',
             properties: outputConfig.properties || {
-                results: {
-                    type: 'string',
-                    title: 'Results',
-                    template: '{{links.apiDefaultDatasetUrl}}/items'
-                }
+                ...this.getDatasetOutputs(),
+                ...this.getKeyValueStoreOutputs(),
+                ...this.getCustomOutputs()
             }
         };
     }
@@ -293,15 +703,16 @@ class ActorSchemaManager {
         const defaults = {};
         const customFields = inputConfig.fields || {};
         for (const [fieldName, fieldConfig] of Object.entries(customFields)) {
+            const type = ActorSchemaManager.inferInputType(fieldConfig, fieldName);
             if (fieldConfig.default !== undefined) {
                 defaults[fieldName] = fieldConfig.default;
             } else if (fieldConfig.prefill !== undefined) {
                 defaults[fieldName] = fieldConfig.prefill;
-            } else if (fieldConfig.type === 'boolean') {
+            } else if (type === 'boolean') {
                 defaults[fieldName] = false;
-            } else if (fieldConfig.type === 'integer' || fieldConfig.type === 'number') {
+            } else if (type === 'integer' || type === 'number') {
                 defaults[fieldName] = 0;
-            } else if (fieldConfig.type === 'array') {
+            } else if (type === 'array') {
                 defaults[fieldName] = [];
             }
         }
@@ -320,7 +731,7 @@ class ActorSchemaManager {
     ensureActorDir() {
         if (!fs.existsSync(this.actorDir)) {
             fs.mkdirSync(this.actorDir, { recursive: true });
-            if (this.verbose) console.log(`Created directory: ${this.actorDir}`);
+            if (this.verbose) this.logger.info(`Created directory: ${this.actorDir}`);
         }
     }
 
@@ -332,33 +743,137 @@ class ActorSchemaManager {
     writeJsonFile(filePath, content) {
         const json = JSON.stringify(content, null, 2);
         fs.writeFileSync(filePath, json + '\n', 'utf8');
-        if (this.verbose) console.log(`Written: ${filePath}`);
+        if (this.verbose) this.logger.info(`Written: ${filePath}`);
     }
 
     /**
-     * Generate all actor schema files
-     * @returns {object} - Object containing all generated schemas
+     * Build the content of every schema file, merged with the files on disk in merge mode
+     * @returns {object} - Object containing all generated schemas (keyed like SCHEMA_FILES)
      */
-    generateAllSchemas() {
+    buildAllSchemas() {
         const schemas = {
             actor: this.generateActorJson(),
             inputSchema: this.generateInputSchema(),
             datasetSchema: this.generateDatasetSchema(),
-            outputSchema: this.generateOutputSchema()
+            outputSchema: this.generateOutputSchema(),
+            keyValueStoreSchema: this.generateKeyValueStoreSchema()
         };
+
+        if (this.merge) {
+            for (const [key, fileName] of Object.entries(SCHEMA_FILES)) {
+                const existing = ActorSchemaManager.readJsonFile(join(this.actorDir, fileName));
+                if (schemas[key] && existing) {
+                    schemas[key] = ActorSchemaManager.mergeUnknownKeys(schemas[key], existing);
+                }
+            }
+        }
+
+        return schemas;
+    }
+
+    /**
+     * Generate all actor schema files
+     * @returns {object} - Object containing all generated schemas
+     */
+    generateAllSchemas() {
+        const schemas = this.buildAllSchemas();
         
         if (!this.dryRun) {
             this.ensureActorDir();
-            this.writeJsonFile(join(this.actorDir, 'actor.json'), schemas.actor);
-            this.writeJsonFile(join(this.actorDir, 'input_schema.json'), schemas.inputSchema);
-            this.writeJsonFile(join(this.actorDir, 'dataset_schema.json'), schemas.datasetSchema);
-            this.writeJsonFile(join(this.actorDir, 'output_schema.json'), schemas.outputSchema);
-            console.log('✅ Generated all actor schemas in .actor/');
+            for (const [key, fileName] of Object.entries(SCHEMA_FILES)) {
+                if (schemas[key]) {
+                    this.writeJsonFile(join(this.actorDir, fileName), schemas[key]);
+                }
+            }
+            this.logger.info('✅ Generated all actor schemas in .actor/');
         }
         
         return schemas;
     }
 
+    /**
+     * Compare the schema files on disk with what the spec generates
+     * Files websy writes that the spec no longer generates (e.g. key_value_store_schema.json
+     * after removing `schemas.key_value_store`) are reported as 'orphaned'.
+     * @returns {object[]} - Per file { file, status: 'missing'|'changed'|'unchanged'|'orphaned', changes }
+     */
+    diffSchemaFiles() {
+        const schemas = this.buildAllSchemas();
+        const results = [];
+
+        for (const [key, fileName] of Object.entries(SCHEMA_FILES)) {
+            if (!schemas[key]) {
+                if (fs.existsSync(join(this.actorDir, fileName))) {
+                    results.push({ file: fileName, status: 'orphaned', changes: [] });
+                }
+                continue;
+            }
+            const existing = ActorSchemaManager.readJsonFile(join(this.actorDir, fileName));
+            if (!existing) {
+                results.push({ file: fileName, status: 'missing', changes: [] });
+                continue;
+            }
+            const changes = ActorSchemaManager.diffJson(existing, schemas[key]);
+            results.push({ file: fileName, status: changes.length > 0 ? 'changed' : 'unchanged', changes });
+        }
+
+        return results;
+    }
+
+    /**
+     * Keep keys that exist only in the file on disk (e.g. a hand-added `dockerfile` in actor.json)
+     * Generated values win. Entries removed from named maps such as `properties` or `views`
+     * are not brought back; only unknown keys inside entries that still exist are kept.
+     * @param {*} generated - Generated value
+     * @param {*} existing - Value currently on disk
+     * @param {string} [parentKey] - Key of the value in its parent
+     * @returns {*} - Merged value
+     */
+    static mergeUnknownKeys(generated, existing, parentKey = null) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(generated) || !isObject(existing)) return generated;
+
+        const merged = {};
+        for (const [key, value] of Object.entries(generated)) {
+            merged[key] = key in existing ? ActorSchemaManager.mergeUnknownKeys(value, existing[key], key) : value;
+        }
+        if (!NAMED_MAP_KEYS.includes(parentKey)) {
+            for (const [key, value] of Object.entries(existing)) {
+                if (!(key in merged)) merged[key] = value;
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Structured difference between two JSON values
+     * @param {*} before - Value on disk
+     * @param {*} after - Generated value
+     * @param {string} [path] - Path of the values (dotted, [n] for array indexes)
+     * @returns {object[]} - Changes { path, type: 'added'|'removed'|'changed', before, after }
+     */
+    static diffJson(before, after, path = '') {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const childPath = key => (path ? `${path}.${key}` : key);
+
+        if (isObject(before) && isObject(after)) {
+            const changes = [];
+            for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+                if (!(key in after)) {
+                    changes.push({ path: childPath(key), type: 'removed', before: before[key] });
+                } else if (!(key in before)) {
+                    changes.push({ path: childPath(key), type: 'added', after: after[key] });
+                } else {
+                    changes.push(...ActorSchemaManager.diffJson(before[key], after[key], childPath(key)));
+                }
+            }
+            return changes;
+        }
+
+        if (JSON.stringify(before) === JSON.stringify(after)) return [];
+        return [{ path: path || '(root)', type: 'changed', before, after }];
+    }
+
     /**
      * Generate INPUT.json file with defaults
      * @param {string} outputPath - Optional custom output path
@@ -370,12 +885,431 @@ class ActorSchemaManager {
         
         if (!this.dryRun) {
             this.writeJsonFile(targetPath, defaults);
-            console.log(`✅ Generated default input file: ${targetPath}`);
+            this.logger.info(`✅ Generated default input file: ${targetPath}`);
         }
         
         return defaults;
     }
 
+    /**
+     * Read a JSON file, returning null if it doesn't exist
+     * @param {string} filePath - Path to read
+     * @returns {object|null} - Parsed JSON or null
+     */
+    static readJsonFile(filePath) {
+        if (!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Build a schemas config from existing .actor/*.json files (reverse of generateAllSchemas).
+     * Values that the generator would infer anyway are left out so the spec stays minimal.
+     * @param {string} basePath - Directory containing the .actor folder (default: process.cwd())
+     * @returns {object} - { schemas: object, warnings: string[] }
+     * @throws {SpecError} - When the directory has no actor.json
+     */
+    static importFromActorDir(basePath = process.cwd()) {
+        const actorDir = join(basePath, '.actor');
+        const warnings = [];
+        const schemas = {};
+
+        const actorJson = ActorSchemaManager.readJsonFile(join(actorDir, 'actor.json'));
+        const inputSchema = ActorSchemaManager.readJsonFile(join(actorDir, 'input_schema.json'));
+        const datasetSchema = ActorSchemaManager.readJsonFile(join(actorDir, 'dataset_schema.json'));
+        const outputSchema = ActorSchemaManager.readJsonFile(join(actorDir, 'output_schema.json'));
+        const kvsPath = actorJson?.storages?.keyValueStore;
+        const keyValueStoreSchema = typeof kvsPath === 'string'
+            ? ActorSchemaManager.readJsonFile(join(actorDir, kvsPath))
+            : null;
+
+        if (!actorJson) {
+            throw new SpecError(`No actor.json found in ${actorDir}`, { path: actorDir });
+        }
+
+        // actor.json
+        const known = ['actorSpecification', 'name', 'version', 'buildTag', 'environmentVariables', 'input', 'output', 'storages'];
+        for (const key of Object.keys(actorJson)) {
+            if (!known.includes(key)) {
+                warnings.push(`actor.json: key '${key}' is not supported by the spec and was dropped`);
+            }
+        }
+        schemas.actor = {
+            name: actorJson.name,
+            version: actorJson.version || '0.1',
+            build_tag: actorJson.buildTag || 'latest'
+        };
+        if (inputSchema?.title && inputSchema.title !== ActorSchemaManager.toTitleCase(actorJson.name || 'Actor Input')) {
+            schemas.actor.title = inputSchema.title;
+        }
+        if (actorJson.environmentVariables && Object.keys(actorJson.environmentVariables).length > 0) {
+            schemas.actor.environment_variables = actorJson.environmentVariables;
+        }
+
+        if (inputSchema) {
+            schemas.input = ActorSchemaManager.importInputSchema(inputSchema, warnings);
+        }
+        if (datasetSchema) {
+            schemas.dataset = ActorSchemaManager.importDatasetSchema(datasetSchema, warnings, schemas.input);
+        }
+        if (keyValueStoreSchema) {
+            schemas.key_value_store = ActorSchemaManager.importKeyValueStoreSchema(keyValueStoreSchema, warnings);
+        }
+        if (outputSchema) {
+            schemas.output = ActorSchemaManager.importOutputSchema(outputSchema, schemas, warnings);
+        }
+
+        return { schemas, warnings };
+    }
+
+    /**
+     * Convert input_schema.json content into the schemas.input section
+     * @param {object} inputSchema - The input_schema.json content
+     * @param {string[]} warnings - Collector for unsupported keys
+     * @returns {object} - The input section
+     */
+    static importInputSchema(inputSchema, warnings = []) {
+        const fields = {};
+
+        for (const [fieldName, prop] of Object.entries(inputSchema.properties || {})) {
+            const field = {};
+            if (prop.title !== undefined && prop.title !== ActorSchemaManager.toTitleCase(fieldName)) field.title = prop.title;
+            if (prop.type && prop.type !== ActorSchemaManager.inferInputType({}, fieldName)) field.type = prop.type;
+            if (prop.description) field.description = prop.description;
+
+            const rules = INPUT_TYPE_RULES[prop.type] || { keys: [] };
+            const copiedKeys = [...INPUT_COMMON_KEYS, ...rules.keys].filter(key => !['title', 'type', 'description', 'editor'].includes(key));
+            for (const key of copiedKeys) {
+                if (prop[key] !== undefined) field[key] = prop[key];
+            }
+            if (prop.editor && prop.editor !== ActorSchemaManager.inferEditor({ ...field, type: prop.type }, fieldName)) {
+                field.editor = prop.editor;
+            }
+            for (const key of Object.keys(prop)) {
+                if (!['title', 'type', 'description', 'editor', ...copiedKeys].includes(key)) {
+                    warnings.push(`input_schema.json: '${fieldName}.${key}' is not supported by the spec and was dropped`);
+                }
+            }
+            fields[fieldName] = field;
+        }
+
+        const input = { fields };
+        if (Array.isArray(inputSchema.required) && inputSchema.required.length > 0) {
+            input.required = inputSchema.required;
+        }
+        return input;
+    }
+
+    /**
+     * Read the toggle titles out of a generated "Filled when ... is enabled." sentence
+     * @param {string} quotedTitles - The captured '"A" or "B"' part
+     * @returns {string[]} - Toggle titles
+     */
+    static parseToggleTitles(quotedTitles) {
+        return [...quotedTitles.matchAll(/"([^"]*)"/g)].map(match => match[1]);
+    }
+
+    /**
+     * Convert dataset_schema.json content into the schemas.dataset section
+     * Fields described with the generated toggle note go back into `field_groups`: the group name
+     * comes from the view generated for the group (`<first view>_<group>`), and the input fields
+     * titled like the toggles get their `group:` link back.
+     * @param {object} datasetSchema - The dataset_schema.json content
+     * @param {string[]} warnings - Collector for values that can't be represented
+     * @param {object} [input] - The imported schemas.input section, linked to the groups in place
+     * @returns {object} - The dataset section
+     */
+    static importDatasetSchema(datasetSchema, warnings = [], input = null) {
+        const fields = {};
+        const toggledFields = {};
+        for (const [fieldName, prop] of Object.entries(datasetSchema.fields?.properties || {})) {
+            const field = ActorSchemaManager.importDatasetField(fieldName, prop, fieldName, warnings);
+            // The field_group toggle note is regenerated from the spec, so it isn't kept in `desc`
+            const toggleMatch = field.desc?.match(TOGGLE_SENTENCE_PATTERN);
+            if (toggleMatch) {
+                toggledFields[fieldName] = ActorSchemaManager.parseToggleTitles(toggleMatch[1]);
+                field.desc = field.desc.replace(TOGGLE_SENTENCE_PATTERN, '');
+                if (!field.desc) delete field.desc;
+            }
+            fields[fieldName] = field;
+        }
+
+        // Views generated per field_group toggle (generateGroupViews) are rebuilt from the field_groups
+        const groupViews = Object.entries(datasetSchema.views || {})
+            .map(([viewName, view]) => [viewName, (view.description || '').match(GROUP_VIEW_DESCRIPTION_PATTERN)])
+            .filter(([, match]) => match);
+        const baseViewName = Object.keys(datasetSchema.views || {}).find(viewName => !groupViews.some(([name]) => name === viewName));
+        const groups = {};
+        for (const [viewName, match] of groupViews) {
+            const groupName = baseViewName && viewName.startsWith(`${baseViewName}_`) ? viewName.slice(baseViewName.length + 1) : viewName;
+            const groupFields = match[2].split(', ').filter(fieldName => toggledFields[fieldName]);
+            groups[groupName] = { fields: groupFields, toggles: ActorSchemaManager.parseToggleTitles(match[1]) };
+        }
+        // Groups without a generated view (group_views: false) are named after their first toggle
+        const grouped = new Set(Object.values(groups).flatMap(group => group.fields));
+        const ungrouped = Object.keys(toggledFields).filter(fieldName => !grouped.has(fieldName));
+        for (const fieldName of ungrouped) {
+            const groupName = toggledFields[fieldName][0].toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'group';
+            groups[groupName] = groups[groupName] || { fields: [], toggles: toggledFields[fieldName] };
+            groups[groupName].fields.push(fieldName);
+        }
+
+        const fieldGroups = {};
+        for (const [groupName, group] of Object.entries(groups)) {
+            fieldGroups[groupName] = {};
+            for (const fieldName of group.fields) {
+                fieldGroups[groupName][fieldName] = fields[fieldName];
+                delete fields[fieldName];
+            }
+            ActorSchemaManager.linkGroupToggles(input, groupName, group.toggles, warnings);
+        }
+
+        // Views carry per-field label/format; lift them onto the field when they differ from inference
+        const allFields = { ...fields, ...Object.assign({}, ...Object.values(fieldGroups)) };
+        const views = {};
+        for (const [viewName, view] of Object.entries(datasetSchema.views || {})) {
+            if (groupViews.some(([name]) => name === viewName)) continue;
+            const viewFields = view.transformation?.fields || [];
+            const displayProps = view.display?.properties || {};
+            const unwind = [].concat(view.transformation?.unwind || []);
+            if (unwind.length > 1) {
+                warnings.push(`dataset_schema.json: view '${viewName}' unwinds several fields, keeping '${unwind[0]}'`);
+            }
+
+            for (const [fieldName, display] of Object.entries(displayProps)) {
+                const field = ActorSchemaManager.resolveViewField(fieldName, { unwind: unwind[0] }, allFields);
+                if (!field) continue;
+
+                const leafName = fieldName.split('.').pop();
+                const label = field.label || field.title || ActorSchemaManager.toTitleCase(leafName);
+                if (display.label !== undefined && display.label !== label) {
+                    if (field.label !== undefined) {
+                        warnings.push(`dataset_schema.json: view '${viewName}' uses a different label for '${fieldName}', keeping '${field.label}'`);
+                    } else {
+                        field.label = display.label;
+                    }
+                }
+
+                const format = ActorSchemaManager.inferFormat(leafName, field);
+                if (display.format !== undefined && display.format !== format) {
+                    if (field.format !== undefined) {
+                        warnings.push(`dataset_schema.json: view '${viewName}' uses a different format for '${fieldName}', keeping '${field.format}'`);
+                    } else {
+                        field.format = display.format;
+                    }
+                }
+            }
+
+            const outView = {};
+            if (view.title !== undefined && view.title !== ActorSchemaManager.toTitleCase(viewName)) outView.title = view.title;
+            if (view.description) outView.description = view.description;
+            const component = view.display?.component;
+            if (component && component !== 'table') outView.component = component;
+            // Nested paths (seller.name) only survive in the display properties
+            const displayNames = Object.keys(displayProps);
+            outView.fields = displayNames.some(name => name.includes('.')) ? displayNames : viewFields;
+            if (unwind.length > 0) outView.unwind = unwind[0];
+            views[viewName] = outView;
+        }
+
+        const dataset = { fields };
+        if (Object.keys(fieldGroups).length > 0) dataset.field_groups = fieldGroups;
+        if (Object.keys(views).length > 0) dataset.views = views;
+        if (ungrouped.length > 0 && Object.keys(views).length > 0) {
+            if (groupViews.length === 0) {
+                dataset.group_views = false;
+            } else {
+                warnings.push(`dataset_schema.json: '${ungrouped.join("', '")}' has no generated group view; gen-schemas will add one`);
+            }
+        }
+        return dataset;
+    }
+
+    /**
+     * Link the imported input toggles of a field_group back to it with `group:`
+     * @param {object} [input] - The imported schemas.input section
+     * @param {string} groupName - The field_group name
+     * @param {string[]} toggleTitles - Titles of the input fields that enable the group
+     * @param {string[]} warnings - Collector for toggles that can't be found
+     */
+    static linkGroupToggles(input, groupName, toggleTitles, warnings = []) {
+        const inputFields = Object.entries(input?.fields || {});
+        for (const title of toggleTitles) {
+            const match = inputFields.find(([name, field]) => (field.title || ActorSchemaManager.toTitleCase(name)) === title);
+            if (!match) {
+                warnings.push(`dataset_schema.json: field_group '${groupName}' is enabled by "${title}", which is not an input field`);
+            } else if (match[1].group && match[1].group !== groupName) {
+                warnings.push(`input_schema.json: '${match[0]}' enables both '${match[1].group}' and '${groupName}', keeping '${match[1].group}'`);
+            } else {
+                match[1].group = groupName;
+            }
+        }
+    }
+
+    /**
+     * Convert one dataset_schema.json property (and its nested properties/items) into a spec field
+     * @param {string} fieldName - The field name
+     * @param {object} prop - The JSON schema of the field
+     * @param {string} path - Dotted path used in warnings
+     * @param {string[]} warnings - Collector for values that can't be represented
+     * @returns {object} - The spec field
+     */
+    static importDatasetField(fieldName, prop, path, warnings = []) {
+        const field = {};
+        let fieldType = prop.type || 'string';
+        let nullable = true;
+
+        if (Array.isArray(fieldType)) {
+            const types = fieldType.filter(t => t !== 'null');
+            if (types.length !== 1 || !fieldType.includes('null')) {
+                warnings.push(`dataset_schema.json: '${path}' has type ${JSON.stringify(fieldType)}, using '${types[0]}'`);
+            }
+            fieldType = types[0] || 'string';
+        } else {
+            nullable = false;
+        }
+
+        if (fieldType === 'array') {
+            field.array = true;
+            const items = prop.items || {};
+            if (items.properties || items.items || Array.isArray(items.type) || items.title || items.description) {
+                field.items = ActorSchemaManager.importItemsSchema(items, `${path}[]`, warnings);
+            } else if (items.type && items.type !== 'string') {
+                field.itemType = items.type;
+            }
+        } else if (fieldType !== 'string') {
+            field.type = fieldType;
+        }
+
+        if (prop.title !== undefined && prop.title !== ActorSchemaManager.toTitleCase(fieldName)) field.title = prop.title;
+        if (prop.description) field.desc = prop.description;
+        if (!nullable) field.nullable = false;
+
+        if (fieldType === 'object' && prop.properties) {
+            field.properties = {};
+            for (const [name, child] of Object.entries(prop.properties)) {
+                field.properties[name] = ActorSchemaManager.importDatasetField(name, child, `${path}.${name}`, warnings);
+            }
+        }
+        return field;
+    }
+
+    /**
+     * Convert the `items` schema of an array into the spec `items:` block
+     * @param {object} items - The JSON schema of the array items
+     * @param {string} path - Dotted path used in warnings
+     * @param {string[]} warnings - Collector for values that can't be represented
+     * @returns {object} - The spec items block
+     */
+    static importItemsSchema(items, path, warnings = []) {
+        const itemsConfig = {};
+        let itemType = items.type || 'string';
+
+        if (Array.isArray(itemType)) {
+            if (itemType.includes('null')) itemsConfig.nullable = true;
+            itemType = itemType.find(t => t !== 'null') || 'string';
+        }
+        if (itemType !== 'string' && !(itemType === 'object' && items.properties)) itemsConfig.type = itemType;
+        if (items.title) itemsConfig.title = items.title;
+        if (items.description) itemsConfig.desc = items.description;
+
+        if (itemType === 'object' && items.properties) {
+            itemsConfig.properties = {};
+            for (const [name, child] of Object.entries(items.properties)) {
+                itemsConfig.properties[name] = ActorSchemaManager.importDatasetField(name, child, `${path}.${name}`, warnings);
+            }
+        } else if (itemType === 'array') {
+            if (items.items) itemsConfig.items = ActorSchemaManager.importItemsSchema(items.items, `${path}[]`, warnings);
+        }
+        return itemsConfig;
+    }
+
+    /**
+     * Convert key_value_store_schema.json content into the schemas.key_value_store section
+     * @param {object} storeSchema - The key_value_store_schema.json content
+     * @param {string[]} warnings - Collector for unsupported keys
+     * @returns {object} - The key_value_store section
+     */
+    static importKeyValueStoreSchema(storeSchema, warnings = []) {
+        const store = {};
+        if (storeSchema.title && storeSchema.title !== 'Key-value store') store.title = storeSchema.title;
+        if (storeSchema.description) store.description = storeSchema.description;
+
+        const keyMap = { key: 'key', keyPrefix: 'key_prefix', contentTypes: 'content_types', jsonSchema: 'json_schema' };
+        store.collections = {};
+        for (const [name, collection] of Object.entries(storeSchema.collections || {})) {
+            const entry = {};
+            if (collection.title && collection.title !== ActorSchemaManager.toTitleCase(name)) entry.title = collection.title;
+            if (collection.description) entry.desc = collection.description;
+            for (const [key, value] of Object.entries(collection)) {
+                if (keyMap[key]) {
+                    entry[keyMap[key]] = value;
+                } else if (!['title', 'description'].includes(key)) {
+                    warnings.push(`key_value_store_schema.json: '${name}.${key}' is not supported by the spec and was dropped`);
+                }
+            }
+            store.collections[name] = entry;
+        }
+        return store;
+    }
+
+    /**
+     * Convert output_schema.json content into the schemas.output section
+     * @param {object} outputSchema - The output_schema.json content
+     * @param {object} schemas - The other imported sections, used to tell generated entries apart
+     * @param {string[]} warnings - Collector for entries that were dropped
+     * @returns {object} - The output section
+     */
+    static importOutputSchema(outputSchema, schemas = {}, warnings = []) {
+        const output = {};
+
+        // Collections the output schema doesn't link to were generated with `output: false`
+        const templates = Object.values(outputSchema.properties || {}).map(property => property.template);
+        const manager = new ActorSchemaManager(schemas);
+        for (const [name, property] of Object.entries(manager.getKeyValueStoreOutputs())) {
+            if (!templates.includes(property.template)) {
+                schemas.key_value_store.collections[name].output = false;
+            }
+        }
+        const defaults = manager.generateOutputSchema();
+
+        if (outputSchema.title !== defaults.title) output.title = outputSchema.title;
+        if (outputSchema.description !== defaults.description) output.description = outputSchema.description;
+
+        // Generated entries followed by extra ones become `links`; anything else is kept as hand-written properties
+        const properties = outputSchema.properties || {};
+        const generatedNames = Object.keys(defaults.properties);
+        const names = Object.keys(properties);
+        const isGenerated = JSON.stringify(names.slice(0, generatedNames.length)) === JSON.stringify(generatedNames)
+            && generatedNames.every(name => JSON.stringify(properties[name]) === JSON.stringify(defaults.properties[name]));
+        const extras = names.slice(generatedNames.length).map(name => [name, properties[name]]);
+        const extrasAreLinks = extras.every(([, property]) => property.type === 'string' && typeof property.template === 'string'
+            && Object.keys(property).every(key => ['type', 'title', 'description', 'template'].includes(key)));
+
+        if (isGenerated && extrasAreLinks) {
+            // A link to a dataset view the imported spec no longer generates would point nowhere
+            const viewNames = Object.keys(manager.generateDatasetSchema().views);
+            const links = extras.filter(([name, property]) => {
+                const view = property.template.match(/^\{\{links\.apiDefaultDatasetUrl\}\}\/items\?view=([^&]+)$/)?.[1];
+                if (view === undefined || viewNames.includes(view)) return true;
+                warnings.push(`output_schema.json: '${name}' links to view '${view}', which the spec doesn't generate, and was dropped`);
+                return false;
+            });
+            if (links.length > 0) {
+                output.links = {};
+                for (const [name, property] of links) {
+                    const link = {};
+                    if (property.title !== ActorSchemaManager.toTitleCase(name)) link.title = property.title;
+                    if (property.description) link.description = property.description;
+                    link.template = property.template;
+                    output.links[name] = link;
+                }
+            }
+        } else {
+            output.properties = properties;
+        }
+        return output;
+    }
+
     /**
      * Validate the config structure
      * @returns {object} - Validation result { valid: boolean, errors: string[] }
@@ -398,10 +1332,13 @@ class ActorSchemaManager {
         const views = this.config.dataset?.views || {};
         for (const [viewName, viewConfig] of Object.entries(views)) {
             for (const fieldName of (viewConfig.fields || [])) {
-                if (!allFields[fieldName]) {
+                if (!ActorSchemaManager.resolveViewField(fieldName, viewConfig, allFields)) {
                     errors.push(`View '${viewName}' references unknown field '${fieldName}'`);
                 }
             }
+            if (viewConfig.unwind && ActorSchemaManager.inferType(allFields[viewConfig.unwind] || {}) !== 'array') {
+                errors.push(`View '${viewName}' unwinds '${viewConfig.unwind}', which is not an array field`);
+            }
         }
         
         // Check field_group references in input fields
@@ -411,6 +1348,37 @@ class ActorSchemaManager {
             if (fieldConfig.group && !fieldGroups[fieldConfig.group]) {
                 errors.push(`Input field '${fieldName}' references unknown field_group '${fieldConfig.group}'`);
             }
+            errors.push(...ActorSchemaManager.validateInputField(fieldName, fieldConfig));
+        }
+        for (const [name, collection] of Object.entries(this.config.key_value_store?.collections || {})) {
+            if ((collection.key === undefined) === (collection.key_prefix === undefined)) {
+                errors.push(`Key-value store collection '${name}' needs exactly one of key or key_prefix`);
+            }
+        }
+
+        // Generated output entries share one namespace
+        if (!this.config.output?.properties) {
+            const seen = new Set(Object.keys(this.getDatasetOutputs()));
+            const entries = [
+                ...Object.keys(this.getKeyValueStoreOutputs()).map(name => ['key-value store collection', name]),
+                ...Object.keys(this.getCustomOutputs()).map(name => ['output link', name])
+            ];
+            for (const [kind, name] of entries) {
+                if (seen.has(name)) {
+                    errors.push(`Output entry '${name}' (${kind}) clashes with another output entry of the same name`);
+                }
+                seen.add(name);
+            }
+        }
+        for (const [name, link] of Object.entries(this.config.output?.links || {})) {
+            if (!link.template) {
+                errors.push(`Output link '${name}' is missing template`);
+            }
+        }
+        for (const fieldName of this.config.input?.required || []) {
+            if (!inputFields[fieldName]) {
+                errors.push(`Input required list references unknown field '${fieldName}'`);
+            }
         }
         
         return {
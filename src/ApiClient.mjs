@@ -0,0 +1,252 @@
+// ApiClient.mjs
+import got from 'got';
+import { HttpProxyAgent, HttpsProxyAgent } from 'hpagent';
+
+const DEFAULT_API_BASE_URL = 'https://api.apify.com/v2';
+const DEFAULT_CONSOLE_BASE_URL = 'https://console-backend.apify.com';
+const DEFAULT_TIMEOUT_SECS = 60;
+const DEFAULT_RETRIES = 5;
+
+// Longest Retry-After we wait for; longer ones fail right away instead of hanging the CLI
+const MAX_RETRY_AFTER_MS = 120 * 1000;
+const RETRY_STATUS_CODES = [408, 429, 500, 502, 503, 504, 521, 522, 524];
+
+// Query parameters and body keys whose values never show up in --debug output
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|api[-_]?key/i;
+const DEBUG_BODY_LIMIT = 2000;
+
+/**
+ * ApiClient - The single HTTP transport for the Apify API and the Console backend
+ *
+ * Requests retry on 429/5xx and network errors with exponential backoff, honoring Retry-After;
+ * POST (not idempotent: a 5xx may come after the run or build was started) retries on 429 only.
+ * Base URLs, timeout, retries, proxy and debug logging come from the options or the environment
+ * (APIFY_API_BASE_URL, APIFY_CONSOLE_BASE_URL, WEBSY_TIMEOUT_SECS, WEBSY_RETRIES,
+ * HTTPS_PROXY/HTTP_PROXY, WEBSY_DEBUG).
+ */
+class ApiClient {
+    /**
+     * @param {object} options - Transport options
+     * @param {string} options.token - Apify API token (sent as a Bearer header only)
+     * @param {string} [options.baseUrl] - Apify API base URL
+     * @param {string} [options.consoleBaseUrl] - Console backend base URL
+     * @param {number} [options.timeoutSecs] - Timeout of a single attempt
+     * @param {number} [options.retries] - Retries after the first attempt
+     * @param {string} [options.proxy] - HTTP(S) proxy URL
+     * @param {boolean} [options.debug] - Log requests and responses (secrets redacted)
+     * @param {Function} [options.log] - Writer for debug lines (defaults to stderr)
+     */
+    constructor(options = {}) {
+        const env = process.env;
+        this.token = options.token;
+        this.baseUrl = ApiClient.trimSlash(options.baseUrl || env.APIFY_API_BASE_URL || DEFAULT_API_BASE_URL);
+        this.consoleBaseUrl = ApiClient.trimSlash(options.consoleBaseUrl || env.APIFY_CONSOLE_BASE_URL || DEFAULT_CONSOLE_BASE_URL);
+        this.timeoutSecs = ApiClient.toNumber(options.timeoutSecs ?? env.WEBSY_TIMEOUT_SECS, DEFAULT_TIMEOUT_SECS, 'timeout');
+        this.retries = ApiClient.toNumber(options.retries ?? env.WEBSY_RETRIES, DEFAULT_RETRIES, 'retries');
+        this.proxy = options.proxy || env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || null;
+        this.debug = Boolean(options.debug ?? (env.WEBSY_DEBUG && env.WEBSY_DEBUG !== '0'));
+        this.log = options.log || (line => console.error(line));
+
+        const base = got.extend({
+            headers: this.token ? { 'Authorization': `Bearer ${this.token}` } : {},
+            responseType: 'json',
+            timeout: { request: this.timeoutSecs * 1000 },
+            retry: {
+                limit: this.retries,
+                statusCodes: RETRY_STATUS_CODES,
+                maxRetryAfter: MAX_RETRY_AFTER_MS,
+                backoffLimit: 30 * 1000,
+                calculateDelay: ApiClient.retryDelay
+            },
+            agent: this.proxy ? ApiClient.createProxyAgents(this.proxy) : undefined,
+            hooks: {
+                beforeRequest: [options => this.logRequest(options)],
+                afterResponse: [response => this.logResponse(response)],
+                beforeRetry: [(error, retryCount) => this.logRetry(error, retryCount)],
+                beforeError: [error => this.logError(error)]
+            }
+        });
+
+        /** got instance for the Apify API, paths are relative to baseUrl (e.g. `acts/${id}`) */
+        this.api = base.extend({ prefixUrl: this.baseUrl, headers: { 'Content-Type': 'application/json' } });
+        /** got instance for the Console backend (quality scores, issue metrics) */
+        this.console = base.extend({ prefixUrl: this.consoleBaseUrl });
+    }
+
+    /**
+     * Remove a trailing slash from a base URL
+     * @param {string} url - Base URL
+     * @returns {string} - URL without the trailing slash
+     */
+    static trimSlash(url) {
+        return url.replace(/\/+$/, '');
+    }
+
+    /**
+     * Parse a numeric setting
+     * @param {*} value - Value from options or the environment
+     * @param {number} fallback - Default when the value is not set
+     * @param {string} name - Setting name used in errors
+     * @returns {number} - Parsed value
+     */
+    static toNumber(value, fallback, name) {
+        if (value === undefined || value === null || value === '') return fallback;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`Invalid ${name} '${value}': expected a non-negative number`);
+        }
+        return number;
+    }
+
+    /**
+     * Agents that tunnel both http and https requests through a proxy
+     * @param {string} proxy - Proxy URL
+     * @returns {object} - got `agent` option
+     */
+    static createProxyAgents(proxy) {
+        const agentOptions = { proxy, keepAlive: true };
+        return { http: new HttpProxyAgent(agentOptions), https: new HttpsProxyAgent(agentOptions) };
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string} header - Header value
+     * @returns {number|null} - Delay in milliseconds, or null without a usable header
+     */
+    static parseRetryAfter(header) {
+        if (!header) return null;
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * got retry.calculateDelay: keeps got's decision (idempotent methods, Retry-After, backoff)
+     * and additionally retries 429 for POST, since a rate-limited request was never processed
+     * (POST is deliberately not retried on 5xx or network errors, which may follow a started run or build)
+     * @param {object} retry - { attemptCount, retryOptions, error, computedValue }
+     * @returns {number} - Delay in milliseconds, 0 to stop retrying
+     */
+    static retryDelay({ attemptCount, retryOptions, error, computedValue }) {
+        if (computedValue > 0 || error.response?.statusCode !== 429 || attemptCount > retryOptions.limit) {
+            return computedValue;
+        }
+        const retryAfter = ApiClient.parseRetryAfter(error.response.headers['retry-after']);
+        if (retryAfter !== null) return retryAfter <= MAX_RETRY_AFTER_MS ? retryAfter : 0;
+        return Math.min(2 ** (attemptCount - 1) * 1000, retryOptions.backoffLimit) + Math.random() * retryOptions.noise;
+    }
+
+    /**
+     * Replace secret values in a JSON-like value
+     * String values of keys matching SECRET_KEY_PATTERN and `value` of entries marked `isSecret` are masked.
+     * @param {*} value - Value to redact
+     * @returns {*} - Redacted copy
+     */
+    static redactValue(value) {
+        if (Array.isArray(value)) return value.map(item => ApiClient.redactValue(item));
+        if (!value || typeof value !== 'object') return value;
+        const result = {};
+        for (const [key, child] of Object.entries(value)) {
+            const secret = SECRET_KEY_PATTERN.test(key) || (key === 'value' && value.isSecret === true);
+            result[key] = secret && typeof child === 'string' ? '***' : ApiClient.redactValue(child);
+        }
+        return result;
+    }
+
+    /**
+     * Redact a request body; got has already serialized `json` bodies at this point
+     * @param {string} body - Request body
+     * @returns {string} - Redacted body
+     */
+    static redactBody(body) {
+        try {
+            return JSON.stringify(ApiClient.redactValue(JSON.parse(body)));
+        } catch {
+            return body;
+        }
+    }
+
+    /**
+     * Mask secret query parameters of a URL
+     * @param {URL|string} url - Request URL
+     * @returns {string} - Redacted URL
+     */
+    static redactUrl(url) {
+        const parsed = new URL(String(url));
+        for (const key of [...parsed.searchParams.keys()]) {
+            if (SECRET_KEY_PATTERN.test(key)) parsed.searchParams.set(key, '***');
+        }
+        return parsed.toString();
+    }
+
+    /**
+     * Make text safe to print: mask the token wherever it appears and cap the length
+     * @param {string} text - Text to print
+     * @returns {string} - Redacted text
+     */
+    redactText(text) {
+        let result = String(text);
+        if (this.token) result = result.split(this.token).join('***');
+        return result.length > DEBUG_BODY_LIMIT ? `${result.slice(0, DEBUG_BODY_LIMIT)}… (${result.length} chars)` : result;
+    }
+
+    /**
+     * beforeRequest hook: log method, URL, headers and body
+     * @param {object} options - got request options
+     */
+    logRequest(options) {
+        if (!this.debug) return;
+        this.log(`[debug] → ${options.method} ${ApiClient.redactUrl(options.url)}`);
+        const headers = Object.entries(options.headers)
+            .map(([key, value]) => `${key}: ${/^(authorization|cookie)$/i.test(key) ? '***' : value}`);
+        this.log(`[debug]   headers: ${this.redactText(headers.join(', '))}`);
+        if (typeof options.body === 'string') {
+            this.log(`[debug]   body: ${this.redactText(ApiClient.redactBody(options.body))}`);
+        } else if (options.body) {
+            this.log('[debug]   body: <binary>');
+        }
+    }
+
+    /**
+     * afterResponse hook: log status and duration
+     * @param {object} response - got response
+     * @returns {object} - The same response
+     */
+    logResponse(response) {
+        if (this.debug) {
+            const duration = response.timings?.phases?.total;
+            const took = duration !== undefined ? ` (${duration} ms)` : '';
+            this.log(`[debug] ← ${response.statusCode} ${response.request.options.method} ${ApiClient.redactUrl(response.url)}${took}`);
+        }
+        return response;
+    }
+
+    /**
+     * beforeRetry hook: log why a request is retried
+     * @param {Error} error - got error of the failed attempt
+     * @param {number} retryCount - Number of the upcoming retry
+     */
+    logRetry(error, retryCount) {
+        if (!this.debug) return;
+        const reason = error.response ? `HTTP ${error.response.statusCode}` : error.code || error.message;
+        this.log(`[debug] ↻ retry ${retryCount}/${this.retries} of ${error.options.method} ${ApiClient.redactUrl(error.options.url)} after ${reason}`);
+    }
+
+    /**
+     * beforeError hook: log the final error body
+     * @param {Error} error - got error
+     * @returns {Error} - The same error
+     */
+    logError(error) {
+        if (this.debug) {
+            const status = error.response ? `HTTP ${error.response.statusCode}` : error.code || error.name;
+            const body = error.response?.body;
+            const text = body === undefined ? error.message : typeof body === 'string' ? body : JSON.stringify(ApiClient.redactValue(body));
+            this.log(`[debug] ✖ ${status}: ${this.redactText(text)}`);
+        }
+        return error;
+    }
+}
+
+export { ApiClient };
@@ -0,0 +1,166 @@
+// CredentialStore.mjs
+import fs from 'fs';
+import os from 'os';
+import { join, dirname } from 'path';
+
+import { AuthError } from './WebsyError.mjs';
+
+// Profiles saved by `websy login`, readable by the owner only
+const CREDENTIALS_FILE = 'credentials.json';
+
+// Where the Apify CLI keeps the account of `apify login` ({ token, username, id, ... })
+const APIFY_CLI_AUTH_FILE = join('.apify', 'auth.json');
+
+/**
+ * CredentialStore - Named API token profiles plus the Apify CLI's stored login
+ *
+ * Profiles live in ~/.websy/credentials.json (or $WEBSY_CONFIG_DIR/credentials.json) as
+ * { defaultProfile, profiles: { name: { token, username, userId, savedAt } } }.
+ */
+class CredentialStore {
+    /**
+     * @param {object} [options] - Store options
+     * @param {string} [options.configDir] - Directory of credentials.json (defaults to WEBSY_CONFIG_DIR or ~/.websy)
+     * @param {string} [options.apifyAuthPath] - Apify CLI auth file (defaults to ~/.apify/auth.json)
+     * @param {object} [options.env] - Environment to read APIFY_TOKEN and WEBSY_PROFILE from
+     */
+    constructor(options = {}) {
+        this.env = options.env || process.env;
+        this.configDir = options.configDir || this.env.WEBSY_CONFIG_DIR || join(os.homedir(), '.websy');
+        this.path = join(this.configDir, CREDENTIALS_FILE);
+        this.apifyAuthPath = options.apifyAuthPath || join(os.homedir(), APIFY_CLI_AUTH_FILE);
+    }
+
+    /**
+     * Read the credentials file
+     * @returns {object} - { defaultProfile, profiles }
+     */
+    load() {
+        if (!fs.existsSync(this.path)) return { defaultProfile: null, profiles: {} };
+        try {
+            const config = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+            return { defaultProfile: config.defaultProfile || null, profiles: config.profiles || {} };
+        } catch (error) {
+            throw new AuthError(`Could not read ${this.path}: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Write the credentials file (mode 600)
+     * @param {object} config - { defaultProfile, profiles }
+     */
+    save(config) {
+        fs.mkdirSync(dirname(this.path), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(this.path, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+        fs.chmodSync(this.path, 0o600);
+    }
+
+    /**
+     * List saved profiles without their tokens
+     * @returns {object[]} - [{ name, username, userId, isDefault }]
+     */
+    listProfiles() {
+        const { defaultProfile, profiles } = this.load();
+        return Object.entries(profiles).map(([name, profile]) => ({
+            name,
+            username: profile.username || null,
+            userId: profile.userId || null,
+            isDefault: name === defaultProfile
+        }));
+    }
+
+    /**
+     * Get a saved profile
+     * @param {string} name - Profile name
+     * @returns {object|null} - { token, username, userId } or null when there's no such profile
+     */
+    getProfile(name) {
+        return this.load().profiles[name] || null;
+    }
+
+    /**
+     * Save (or replace) a profile; the first saved profile becomes the default
+     * @param {string} name - Profile name
+     * @param {object} profile - { token, username, userId }
+     * @param {object} [options] - Save options
+     * @param {boolean} [options.makeDefault] - Make it the default profile
+     * @returns {boolean} - Whether the profile is now the default
+     */
+    saveProfile(name, { token, username, userId }, { makeDefault = false } = {}) {
+        const config = this.load();
+        config.profiles[name] = { token, username: username || null, userId: userId || null, savedAt: new Date().toISOString() };
+        if (makeDefault || !config.defaultProfile || !config.profiles[config.defaultProfile]) {
+            config.defaultProfile = name;
+        }
+        this.save(config);
+        return config.defaultProfile === name;
+    }
+
+    /**
+     * Remove a profile; when it was the default, the default is cleared
+     * @param {string} name - Profile name
+     * @returns {boolean} - Whether the profile existed
+     */
+    removeProfile(name) {
+        const config = this.load();
+        if (!config.profiles[name]) return false;
+        delete config.profiles[name];
+        if (config.defaultProfile === name) config.defaultProfile = null;
+        this.save(config);
+        return true;
+    }
+
+    /**
+     * Read the account stored by `apify login`
+     * @returns {object|null} - { token, username, userId } or null when the Apify CLI isn't logged in
+     */
+    readApifyCliAuth() {
+        if (!fs.existsSync(this.apifyAuthPath)) return null;
+        try {
+            const auth = JSON.parse(fs.readFileSync(this.apifyAuthPath, 'utf8'));
+            if (!auth.token) return null;
+            return { token: auth.token, username: auth.username || null, userId: auth.id || null };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Pick the credentials to use, in this order:
+     * the named profile (--profile or WEBSY_PROFILE), APIFY_TOKEN, the default profile, the Apify CLI login.
+     * @param {object} [options] - Resolve options
+     * @param {string} [options.profile] - Profile name (overrides WEBSY_PROFILE)
+     * @returns {object|null} - { token, username, profile, source } or null when no token was found
+     * @throws {AuthError} - When the named profile doesn't exist
+     */
+    resolve({ profile } = {}) {
+        const profileName = profile || this.env.WEBSY_PROFILE;
+        if (profileName) {
+            const saved = this.getProfile(profileName);
+            if (!saved) {
+                throw new AuthError(`Unknown profile '${profileName}' (run "websy login --profile ${profileName}", or "websy profiles" to list them)`);
+            }
+            return { token: saved.token, username: saved.username || null, profile: profileName, source: `profile '${profileName}'` };
+        }
+
+        if (this.env.APIFY_TOKEN) {
+            // The username of a bare token is looked up via users/me, so it always matches the token's account
+            return { token: this.env.APIFY_TOKEN, username: null, profile: null, source: 'APIFY_TOKEN' };
+        }
+
+        const { defaultProfile, profiles } = this.load();
+        if (defaultProfile && profiles[defaultProfile]) {
+            const saved = profiles[defaultProfile];
+            return { token: saved.token, username: saved.username || null, profile: defaultProfile, source: `profile '${defaultProfile}'` };
+        }
+
+        const apifyCli = this.readApifyCliAuth();
+        if (apifyCli) {
+            return { token: apifyCli.token, username: apifyCli.username, profile: null, source: `Apify CLI login (${this.apifyAuthPath})` };
+        }
+
+        return null;
+    }
+}
+
+export { CredentialStore };
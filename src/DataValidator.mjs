@@ -0,0 +1,244 @@
+// DataValidator.mjs
+import fs from 'fs';
+
+/**
+ * DataValidator - Checks real data against the schemas generated by ActorSchemaManager
+ *
+ * Covers:
+ *   - INPUT.json files against input_schema.json (required, type, min/max, length, pattern, enum, item counts)
+ *   - Dataset items against dataset_schema.json `fields` (types, nullability, array items)
+ */
+class DataValidator {
+    /**
+     * Check a value against a single JSON schema type name
+     * @param {*} value - Value to check
+     * @param {string} type - JSON schema type
+     * @returns {boolean} - True if the value matches
+     */
+    static matchesType(value, type) {
+        switch (type) {
+            case 'null':
+                return value === null;
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    /**
+     * Describe the JSON type of a value for error messages
+     * @param {*} value - Value to describe
+     * @returns {string} - Type name
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Validate a value against a (dataset) field schema, recursing into properties and items
+     * @param {*} value - Value to validate
+     * @param {object} schema - JSON schema for the value
+     * @param {string} path - Field path used in errors
+     * @param {object[]} errors - Collector for { field, message }
+     */
+    static validateValue(value, schema, path, errors) {
+        const types = [].concat(schema.type || []);
+        if (types.length > 0 && !types.some(type => DataValidator.matchesType(value, type))) {
+            const message = value === null
+                ? 'is null but the field is not nullable'
+                : `expected ${types.join(' or ')}, got ${DataValidator.typeOf(value)}`;
+            errors.push({ field: path, message });
+            return;
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => DataValidator.validateValue(item, schema.items, `${path}[${index}]`, errors));
+        }
+
+        if (DataValidator.matchesType(value, 'object') && schema.properties) {
+            for (const [key, propSchema] of Object.entries(schema.properties)) {
+                if (value[key] !== undefined) {
+                    DataValidator.validateValue(value[key], propSchema, `${path}.${key}`, errors);
+                }
+            }
+            for (const name of schema.required || []) {
+                if (value[name] === undefined) {
+                    errors.push({ field: `${path}.${name}`, message: 'is required' });
+                }
+            }
+        }
+    }
+
+    /**
+     * Validate an input object against input_schema.json
+     * @param {object} input - The input (e.g. INPUT.json content)
+     * @param {object} inputSchema - The input_schema.json content
+     * @returns {object[]} - Errors { field, message }
+     */
+    static validateInput(input, inputSchema) {
+        const errors = [];
+        const properties = inputSchema.properties || {};
+
+        if (!DataValidator.matchesType(input, 'object')) {
+            return [{ field: '(input)', message: `expected object, got ${DataValidator.typeOf(input)}` }];
+        }
+
+        for (const name of inputSchema.required || []) {
+            if (input[name] === undefined || input[name] === null) {
+                errors.push({ field: name, message: 'is required' });
+            }
+        }
+
+        for (const [name, value] of Object.entries(input)) {
+            const field = properties[name];
+            if (!field) {
+                errors.push({ field: name, message: 'is not defined in the input schema' });
+                continue;
+            }
+            if (value === null && field.nullable) continue;
+
+            if (field.type && !DataValidator.matchesType(value, field.type)) {
+                errors.push({ field: name, message: `expected ${field.type}, got ${DataValidator.typeOf(value)}` });
+                continue;
+            }
+
+            if (typeof value === 'number') {
+                if (field.minimum !== undefined && value < field.minimum) {
+                    errors.push({ field: name, message: `must be >= ${field.minimum} (got ${value})` });
+                }
+                if (field.maximum !== undefined && value > field.maximum) {
+                    errors.push({ field: name, message: `must be <= ${field.maximum} (got ${value})` });
+                }
+            }
+
+            if (typeof value === 'string') {
+                if (field.minLength !== undefined && value.length < field.minLength) {
+                    errors.push({ field: name, message: `must be at least ${field.minLength} characters (got ${value.length})` });
+                }
+                if (field.maxLength !== undefined && value.length > field.maxLength) {
+                    errors.push({ field: name, message: `must be at most ${field.maxLength} characters (got ${value.length})` });
+                }
+                if (field.pattern !== undefined && !new RegExp(field.pattern).test(value)) {
+                    errors.push({ field: name, message: `must match pattern ${field.pattern}` });
+                }
+            }
+
+            if (Array.isArray(value)) {
+                if (field.minItems !== undefined && value.length < field.minItems) {
+                    errors.push({ field: name, message: `must have at least ${field.minItems} items (got ${value.length})` });
+                }
+                if (field.maxItems !== undefined && value.length > field.maxItems) {
+                    errors.push({ field: name, message: `must have at most ${field.maxItems} items (got ${value.length})` });
+                }
+                if (field.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+                    errors.push({ field: name, message: 'must not contain duplicate items' });
+                }
+                const options = field.items?.enum;
+                for (const item of options ? value : []) {
+                    if (!options.includes(item)) {
+                        errors.push({ field: name, message: `items must be one of: ${options.join(', ')} (got ${JSON.stringify(item)})` });
+                    }
+                }
+            }
+
+            if (field.enum && !Array.isArray(value) && !field.enum.includes(value)) {
+                errors.push({ field: name, message: `must be one of: ${field.enum.join(', ')} (got ${JSON.stringify(value)})` });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate one dataset item against the dataset_schema.json `fields` schema
+     * @param {object} item - Dataset item
+     * @param {object} fieldsSchema - The `fields` section of dataset_schema.json
+     * @returns {object} - { errors: [{ field, message }], unknownFields: string[] }
+     */
+    static validateItem(item, fieldsSchema) {
+        const errors = [];
+        const properties = fieldsSchema.properties || {};
+
+        if (!DataValidator.matchesType(item, 'object')) {
+            return { errors: [{ field: '(item)', message: `expected object, got ${DataValidator.typeOf(item)}` }], unknownFields: [] };
+        }
+
+        for (const [name, schema] of Object.entries(properties)) {
+            if (item[name] !== undefined) {
+                DataValidator.validateValue(item[name], schema, name, errors);
+            }
+        }
+        for (const name of fieldsSchema.required || []) {
+            if (item[name] === undefined) errors.push({ field: name, message: 'is required' });
+        }
+
+        const unknownFields = Object.keys(item).filter(name => !properties[name]);
+        return { errors, unknownFields };
+    }
+
+    /**
+     * Validate a list of dataset items and aggregate the results
+     * @param {object[]} items - Dataset items
+     * @param {object} fieldsSchema - The `fields` section of dataset_schema.json
+     * @returns {object} - { total, invalid, items: [{ index, errors }], fieldErrors: {field: count}, unknownFields: {field: count} }
+     */
+    static validateItems(items, fieldsSchema) {
+        const result = { total: items.length, invalid: 0, items: [], fieldErrors: {}, unknownFields: {} };
+
+        items.forEach((item, index) => {
+            const { errors, unknownFields } = DataValidator.validateItem(item, fieldsSchema);
+            if (errors.length > 0) {
+                result.invalid++;
+                result.items.push({ index, errors });
+                for (const error of errors) {
+                    // Aggregate nested errors under their top-level field
+                    const field = error.field.split(/[.[]/)[0];
+                    result.fieldErrors[field] = (result.fieldErrors[field] || 0) + 1;
+                }
+            }
+            for (const name of unknownFields) {
+                result.unknownFields[name] = (result.unknownFields[name] || 0) + 1;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Read dataset items from a .json (array or single object) or .jsonl file
+     * @param {string} filePath - Path to the file
+     * @returns {object[]} - Items
+     */
+    static readItems(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        if (filePath.endsWith('.jsonl') || filePath.endsWith('.ndjson')) {
+            return content
+                .split('\n')
+                .map((line, index) => ({ line: line.trim(), index }))
+                .filter(({ line }) => line.length > 0)
+                .map(({ line, index }) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        throw new Error(`Invalid JSON on line ${index + 1}: ${e.message}`);
+                    }
+                });
+        }
+
+        const data = JSON.parse(content);
+        return Array.isArray(data) ? data : [data];
+    }
+}
+
+export { DataValidator };
@@ -0,0 +1,285 @@
+// DatasetInferrer.mjs
+import { ActorSchemaManager } from './ActorSchemaManager.mjs';
+
+// Value patterns used for `format` hints
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const IMAGE_PATTERN = /\.(png|jpe?g|gif|webp|svg|avif)(\?.*)?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Keys written by infer-dataset; other keys of existing fields (desc, title, label, ...) are kept
+const INFERRED_KEYS = ['type', 'array', 'itemType', 'nullable', 'format', 'properties', 'items'];
+
+/**
+ * DatasetInferrer - Derives `schemas.dataset.fields` from sample dataset items
+ *
+ * Infers types, nullability, array item types, nested objects and format hints
+ * (link, image, date, number, boolean), and reports fields missing from some items
+ * as candidates for a field_group.
+ */
+class DatasetInferrer {
+    /**
+     * Create an empty statistics node
+     * @returns {object} - Stats { count, nulls, objects, types, strings, properties, items }
+     */
+    static createStats() {
+        return { count: 0, nulls: 0, objects: 0, types: new Set(), strings: [], properties: null, items: null };
+    }
+
+    /**
+     * Record one value in a statistics node
+     * @param {object} stats - Stats from createStats()
+     * @param {*} value - Observed value
+     */
+    static observe(stats, value) {
+        stats.count++;
+        if (value === null) {
+            stats.nulls++;
+            return;
+        }
+
+        if (Array.isArray(value)) {
+            stats.types.add('array');
+            stats.items = stats.items || DatasetInferrer.createStats();
+            value.forEach(item => DatasetInferrer.observe(stats.items, item));
+        } else if (typeof value === 'object') {
+            stats.types.add('object');
+            DatasetInferrer.observeObject(stats, value);
+        } else if (typeof value === 'number') {
+            stats.types.add(Number.isInteger(value) ? 'integer' : 'number');
+        } else if (typeof value === 'boolean') {
+            stats.types.add('boolean');
+        } else {
+            stats.types.add('string');
+            if (stats.strings.length < 1000) stats.strings.push(String(value));
+        }
+    }
+
+    /**
+     * Record the properties of an object value
+     * @param {object} stats - Stats of the object
+     * @param {object} value - Observed object
+     */
+    static observeObject(stats, value) {
+        stats.objects++;
+        stats.properties = stats.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            stats.properties[key] = stats.properties[key] || DatasetInferrer.createStats();
+            DatasetInferrer.observe(stats.properties[key], child);
+        }
+    }
+
+    /**
+     * Pick a single type from the observed ones
+     * @param {Set} types - Observed types
+     * @param {string} path - Field path used in warnings
+     * @param {string[]} warnings - Collector for mixed-type fields
+     * @returns {string} - JSON schema type
+     */
+    static pickType(types, path, warnings) {
+        const list = [...types];
+        if (list.length === 0) return 'string';
+        if (list.length === 1) return list[0];
+        if (list.every(type => type === 'integer' || type === 'number')) return 'number';
+        warnings.push(`'${path}' has mixed types (${list.join(', ')}), using string`);
+        return 'string';
+    }
+
+    /**
+     * Format hint for string values when every sample matches
+     * @param {string[]} strings - Sample values
+     * @returns {string|null} - 'image', 'link', 'date' or null
+     */
+    static inferStringFormat(strings) {
+        const values = strings.filter(value => value !== '');
+        if (values.length === 0) return null;
+        if (values.every(value => URL_PATTERN.test(value))) {
+            return values.every(value => IMAGE_PATTERN.test(value.split('#')[0])) ? 'image' : 'link';
+        }
+        if (values.every(value => DATE_PATTERN.test(value))) return 'date';
+        return null;
+    }
+
+    /**
+     * Build a spec field from statistics
+     * @param {string} fieldName - Field name
+     * @param {object} stats - Stats of the field
+     * @param {number} total - Number of parents the field could appear in
+     * @param {string} path - Field path used in warnings
+     * @param {string[]} warnings - Collector for warnings
+     * @returns {object} - Spec field configuration
+     */
+    static buildField(fieldName, stats, total, path, warnings) {
+        const field = {};
+        const type = DatasetInferrer.pickType(stats.types, path, warnings);
+
+        if (type === 'array') {
+            field.array = true;
+        } else if (type !== 'string') {
+            field.type = type;
+        }
+        if (stats.nulls === 0 && stats.count === total) field.nullable = false;
+
+        if (type === 'array') {
+            const items = stats.items;
+            if (items && items.types.has('object') && items.properties) {
+                field.items = DatasetInferrer.buildItems(items, `${path}[]`, warnings);
+            } else if (items && items.types.size > 0) {
+                const itemType = DatasetInferrer.pickType(items.types, `${path}[]`, warnings);
+                if (itemType !== 'string') field.itemType = itemType;
+            }
+        }
+        if (type === 'object' && stats.properties) {
+            field.properties = DatasetInferrer.buildProperties(stats.properties, stats.objects, path, warnings);
+        }
+
+        let format = null;
+        if (type === 'string') format = DatasetInferrer.inferStringFormat(stats.strings);
+        if (type === 'integer' || type === 'number') format = 'number';
+        if (type === 'boolean') format = 'boolean';
+        if (format && format !== ActorSchemaManager.inferFormat(fieldName, field)) field.format = format;
+
+        return field;
+    }
+
+    /**
+     * Build the `items:` block for arrays of objects
+     * @param {object} stats - Stats of the array items
+     * @param {string} path - Field path used in warnings
+     * @param {string[]} warnings - Collector for warnings
+     * @returns {object} - Spec items configuration
+     */
+    static buildItems(stats, path, warnings) {
+        const items = {};
+        if (stats.nulls > 0) items.nullable = true;
+        const other = [...stats.types].filter(type => type !== 'object');
+        if (other.length > 0) warnings.push(`'${path}' mixes objects with ${other.join(', ')}, describing the objects`);
+        items.properties = DatasetInferrer.buildProperties(stats.properties, stats.objects, path, warnings);
+        return items;
+    }
+
+    /**
+     * Build spec fields for the properties of objects
+     * @param {object} properties - Stats keyed by property name
+     * @param {number} total - Number of objects observed
+     * @param {string} path - Parent path used in warnings
+     * @param {string[]} warnings - Collector for warnings
+     * @returns {object} - Spec fields keyed by name
+     */
+    static buildProperties(properties, total, path, warnings) {
+        const fields = {};
+        for (const [name, stats] of Object.entries(properties)) {
+            fields[name] = DatasetInferrer.buildField(name, stats, total, `${path}.${name}`, warnings);
+        }
+        return fields;
+    }
+
+    /**
+     * Infer dataset fields from sample items
+     * @param {object[]} items - Sample dataset items
+     * @returns {object} - { fields, optional: [{ field, present, total }], warnings }
+     */
+    static inferFields(items) {
+        const root = DatasetInferrer.createStats();
+        const warnings = [];
+        let total = 0;
+
+        for (const item of items) {
+            if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+                warnings.push(`Skipped a sample item that is not an object (${JSON.stringify(item)?.slice(0, 40)})`);
+                continue;
+            }
+            total++;
+            DatasetInferrer.observeObject(root, item);
+        }
+
+        const fields = {};
+        const optional = [];
+        for (const [name, stats] of Object.entries(root.properties || {})) {
+            fields[name] = DatasetInferrer.buildField(name, stats, total, name, warnings);
+            if (stats.count < total) {
+                optional.push({ field: name, present: stats.count, total });
+            }
+        }
+
+        return { fields, optional, warnings };
+    }
+
+    /**
+     * Merge inferred fields into existing spec fields
+     * Inferred keys replace the old ones; descriptive keys (desc, title, label, ...) are kept.
+     * Fields that only exist in the spec are left untouched.
+     * @param {object} existing - Current schemas.dataset.fields
+     * @param {object} inferred - Fields from inferFields()
+     * @returns {object} - { fields, added: string[], updated: string[], unseen: string[] }
+     */
+    static mergeFields(existing = {}, inferred = {}) {
+        const fields = { ...existing };
+        const added = [];
+        const updated = [];
+
+        for (const [name, field] of Object.entries(inferred)) {
+            if (!existing[name]) {
+                fields[name] = field;
+                added.push(name);
+                continue;
+            }
+
+            const kept = Object.fromEntries(Object.entries(existing[name]).filter(([key]) => !INFERRED_KEYS.includes(key)));
+            const merged = { ...kept, ...field };
+            if (field.properties && existing[name].properties) {
+                merged.properties = DatasetInferrer.mergeFields(existing[name].properties, field.properties).fields;
+            }
+            if (field.items?.properties && existing[name].items?.properties) {
+                merged.items = { ...field.items, properties: DatasetInferrer.mergeFields(existing[name].items.properties, field.items.properties).fields };
+            }
+            if (JSON.stringify(merged) !== JSON.stringify(existing[name])) updated.push(name);
+            fields[name] = merged;
+        }
+
+        const unseen = Object.keys(existing).filter(name => !inferred[name]);
+        return { fields, added, updated, unseen };
+    }
+
+    /**
+     * Merge inferred fields into a spec's dataset section, keeping each field where it is declared
+     * Fields declared in a field_group are merged into that group, new fields go to `fields`,
+     * and fields declared in more than one place are skipped.
+     * @param {object} dataset - Current schemas.dataset ({ fields, field_groups })
+     * @param {object} inferred - Fields from inferFields()
+     * @returns {object} - { fields, groups, added, updated, unseen, skipped, grouped } where `fields` is null
+     *   when no top-level field changed and `groups` holds only the groups that received inferred fields
+     */
+    static mergeIntoDataset(dataset = {}, inferred = {}) {
+        const locations = {};
+        for (const name of Object.keys(dataset.fields || {})) (locations[name] ||= []).push(null);
+        for (const [group, groupFields] of Object.entries(dataset.field_groups || {})) {
+            for (const name of Object.keys(groupFields || {})) (locations[name] ||= []).push(group);
+        }
+
+        const targets = new Map();
+        const skipped = [];
+        for (const [name, field] of Object.entries(inferred)) {
+            const where = locations[name] || [null];
+            if (where.length > 1) {
+                skipped.push(name);
+                continue;
+            }
+            if (!targets.has(where[0])) targets.set(where[0], {});
+            targets.get(where[0])[name] = field;
+        }
+
+        const result = { fields: null, groups: {}, added: [], updated: [], skipped };
+        for (const [group, fields] of targets) {
+            const merged = DatasetInferrer.mergeFields(group === null ? dataset.fields : dataset.field_groups[group], fields);
+            if (group === null) result.fields = merged.fields;
+            else result.groups[group] = merged.fields;
+            result.added.push(...merged.added);
+            result.updated.push(...merged.updated.map(name => (group === null ? name : `${group}.${name}`)));
+        }
+        result.unseen = Object.keys(locations).filter(name => !inferred[name]);
+        result.grouped = Object.keys(locations).filter(name => locations[name].some(group => group !== null));
+        return result;
+    }
+}
+
+export { DatasetInferrer };
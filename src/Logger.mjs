@@ -0,0 +1,48 @@
+// Logger.mjs
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger - Normalizes the logger injected into library classes
+ *
+ * Any object with some of debug/info/warn/error methods works (console, pino, winston, ...);
+ * missing levels are ignored. Without a logger, info/warn/error go to the console and
+ * debug is dropped.
+ */
+class Logger {
+    /**
+     * Console logger used when nothing is injected
+     * @returns {object} - Logger
+     */
+    static console() {
+        return {
+            debug: () => {},
+            info: (...args) => console.log(...args),
+            warn: (...args) => console.warn(...args),
+            error: (...args) => console.error(...args)
+        };
+    }
+
+    /**
+     * Logger that drops everything
+     * @returns {object} - Logger
+     */
+    static silent() {
+        return Object.fromEntries(LOG_LEVELS.map(level => [level, () => {}]));
+    }
+
+    /**
+     * Fill in missing levels of an injected logger
+     * @param {object} [logger] - Injected logger (undefined for the console logger)
+     * @returns {object} - Logger with debug, info, warn and error
+     */
+    static from(logger) {
+        if (!logger) return Logger.console();
+        return Object.fromEntries(LOG_LEVELS.map(level => [
+            level,
+            typeof logger[level] === 'function' ? logger[level].bind(logger) : () => {}
+        ]));
+    }
+}
+
+export { Logger };
@@ -0,0 +1,670 @@
+// MockApiServer.mjs
+import http from 'http';
+import fs from 'fs';
+import { join, extname, basename } from 'path';
+import yaml from 'js-yaml';
+
+const DEFAULT_USERNAME = 'mock-user';
+const DEFAULT_USER_ID = 'mockUserId00001';
+
+// Final status of runs and builds unless the fixture or options say otherwise
+const DEFAULT_JOB_STATUS = 'SUCCEEDED';
+
+const DEFAULT_ACTOR = {
+    title: null,
+    description: null,
+    isPublic: false,
+    isDeprecated: false,
+    notice: 'NONE',
+    categories: [],
+    stats: {},
+    taggedBuilds: {},
+    defaultRunOptions: { build: 'latest', memoryMbytes: 1024, timeoutSecs: 3600 },
+    versions: [{
+        versionNumber: '0.1',
+        sourceType: 'SOURCE_FILES',
+        buildTag: 'latest',
+        sourceFiles: [{ name: 'Dockerfile', format: 'TEXT', content: 'FROM apify/actor-node:20\nCOPY . ./\nCMD npm start\n' }]
+    }]
+};
+
+/**
+ * MockApiServer - A local, stateful stand-in for the parts of the Apify API websy uses
+ *
+ * Serves /v2/acts (get, list, update, delete, versions, builds, runs), /v2/actor-builds,
+ * /v2/actor-runs, /v2/datasets, /v2/logs, /v2/store and /v2/users/me plus the Console backend quality and
+ * issue endpoints, from state loaded out of fixture files. Runs and builds start RUNNING and
+ * finish on the next poll. Every request is recorded so tests can assert on exact payloads;
+ * /_mock/requests, /_mock/state and /_mock/reset expose the same from outside the process.
+ */
+class MockApiServer {
+    /**
+     * @param {object} [options] - Server options
+     * @param {string} [options.fixtures] - Fixture file (.yml/.json) or directory
+     * @param {object} [options.state] - Fixture data given directly (merged over the files)
+     * @param {string} [options.token] - Require this Bearer token (any token is accepted when unset)
+     * @param {string} [options.jobStatus] - Final status of runs and builds (default SUCCEEDED)
+     * @param {Function} [options.onRequest] - Called with each recorded request
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.server = null;
+        this.url = null;
+        this.reset();
+    }
+
+    /**
+     * Read fixtures from a file or a directory
+     *
+     * A file holds { username, userId, token, actors: [], runs: [], builds: [], datasets: { id: items },
+     * logs: { id: text } }. A directory holds the same as actors/*.{json,yml},
+     * datasets/<id>.{json,jsonl}, logs/<id>.txt and optional settings.{yml,json}.
+     * @param {string} fixturesPath - Fixture file or directory
+     * @returns {object} - Fixture data
+     */
+    static loadFixtures(fixturesPath) {
+        if (!fs.existsSync(fixturesPath)) {
+            throw new Error(`Fixtures not found: ${fixturesPath}`);
+        }
+        const readData = file => {
+            const text = fs.readFileSync(file, 'utf8');
+            if (extname(file) === '.jsonl') {
+                return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+            }
+            return extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+        };
+
+        if (!fs.statSync(fixturesPath).isDirectory()) {
+            return readData(fixturesPath) || {};
+        }
+
+        const listDir = dir => (fs.existsSync(join(fixturesPath, dir)) ? fs.readdirSync(join(fixturesPath, dir)).sort() : []);
+        const settingsFile = ['settings.yml', 'settings.yaml', 'settings.json'].map(file => join(fixturesPath, file)).find(file => fs.existsSync(file));
+        const fixtures = settingsFile ? readData(settingsFile) || {} : {};
+
+        fixtures.actors = [...(fixtures.actors || []), ...listDir('actors').map(file => readData(join(fixturesPath, 'actors', file)))];
+        fixtures.datasets = { ...(fixtures.datasets || {}) };
+        for (const file of listDir('datasets')) {
+            fixtures.datasets[basename(file, extname(file))] = readData(join(fixturesPath, 'datasets', file));
+        }
+        fixtures.logs = { ...(fixtures.logs || {}) };
+        for (const file of listDir('logs')) {
+            fixtures.logs[basename(file, extname(file))] = fs.readFileSync(join(fixturesPath, 'logs', file), 'utf8');
+        }
+        return fixtures;
+    }
+
+    /**
+     * Reload the state from the fixtures and forget recorded requests
+     */
+    reset() {
+        const fromFiles = this.options.fixtures ? MockApiServer.loadFixtures(this.options.fixtures) : {};
+        const fixtures = { ...fromFiles, ...(this.options.state || {}) };
+
+        this.username = fixtures.username || DEFAULT_USERNAME;
+        this.userId = fixtures.userId || DEFAULT_USER_ID;
+        this.token = this.options.token || fixtures.token || null;
+        this.jobStatus = this.options.jobStatus || fixtures.jobStatus || DEFAULT_JOB_STATUS;
+        this.counters = {};
+        this.requests = [];
+
+        this.actors = new Map();
+        for (const actor of fixtures.actors || []) {
+            const created = this.createActor(actor);
+            this.actors.set(created.id, created);
+        }
+        this.builds = new Map((fixtures.builds || []).map(build => [build.id, structuredClone(build)]));
+        this.runs = new Map((fixtures.runs || []).map(run => [run.id, structuredClone(run)]));
+        this.datasets = new Map(Object.entries(structuredClone(fixtures.datasets || {})));
+        this.logs = new Map(Object.entries(fixtures.logs || {}));
+    }
+
+    /**
+     * Deterministic IDs so tests can refer to them (build00001, run00001, ...)
+     * @param {string} prefix - ID prefix
+     * @returns {string} - New ID
+     */
+    nextId(prefix) {
+        this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+        return `${prefix}${String(this.counters[prefix]).padStart(5, '0')}`;
+    }
+
+    /**
+     * Complete an actor fixture with the fields the API always returns
+     * @param {object} fixture - Actor fixture (needs at least `name`)
+     * @returns {object} - Actor object
+     */
+    createActor(fixture) {
+        if (!fixture?.name) {
+            throw new Error(`Actor fixture needs a name: ${JSON.stringify(fixture)}`);
+        }
+        const now = new Date().toISOString();
+        return {
+            ...structuredClone(DEFAULT_ACTOR),
+            id: this.nextId('actor'),
+            username: this.username,
+            createdAt: now,
+            modifiedAt: now,
+            ...structuredClone(fixture)
+        };
+    }
+
+    /**
+     * Find an actor by ID, `username~name` or `username/name`
+     * @param {string} actorId - Actor reference from the URL
+     * @returns {object|undefined} - Actor object
+     */
+    findActor(actorId) {
+        const ref = decodeURIComponent(actorId);
+        if (this.actors.has(ref)) return this.actors.get(ref);
+        const [username, name] = ref.split(/[~/]/);
+        return [...this.actors.values()].find(actor => actor.username === username && actor.name === name);
+    }
+
+    /**
+     * Requests recorded since the last reset, optionally filtered
+     * @param {object} [filter] - { method, path } where path is a string prefix or a RegExp
+     * @returns {object[]} - { method, path, query, body }
+     */
+    findRequests({ method, path } = {}) {
+        return this.requests.filter(request => {
+            if (method && request.method !== method.toUpperCase()) return false;
+            if (path instanceof RegExp) return path.test(request.path);
+            return !path || request.path.startsWith(path);
+        });
+    }
+
+    /**
+     * Start listening
+     * @param {number} [port] - Port (0 picks a free one)
+     * @param {string} [host] - Interface to bind
+     * @returns {Promise<object>} - { url, apiBaseUrl, consoleBaseUrl }
+     */
+    async start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+        const address = this.server.address();
+        this.url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+        return { url: this.url, apiBaseUrl: this.apiBaseUrl, consoleBaseUrl: this.consoleBaseUrl };
+    }
+
+    /** Base URL to pass as Websy({ baseUrl }) or APIFY_API_BASE_URL */
+    get apiBaseUrl() {
+        return this.url && `${this.url}/v2`;
+    }
+
+    /** Base URL to pass as transport.consoleBaseUrl or APIFY_CONSOLE_BASE_URL */
+    get consoleBaseUrl() {
+        return this.url;
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => {
+            this.server.close(resolve);
+            this.server.closeAllConnections();
+        });
+        this.server = null;
+    }
+
+    /**
+     * Route table: [method, pattern, handler(params, request)]
+     * @returns {Array[]} - Routes
+     */
+    routes() {
+        return [
+            ['GET', /^\/v2\/acts$/, (params, request) => this.listActors(request)],
+            ['GET', /^\/v2\/acts\/([^/]+)$/, ([actorId]) => ({ data: this.requireActor(actorId) })],
+            ['PUT', /^\/v2\/acts\/([^/]+)$/, ([actorId], request) => this.updateActor(actorId, request.body)],
+            ['DELETE', /^\/v2\/acts\/([^/]+)$/, ([actorId]) => this.deleteActor(actorId)],
+            ['GET', /^\/v2\/acts\/([^/]+)\/versions$/, ([actorId]) => this.listVersions(actorId)],
+            ['POST', /^\/v2\/acts\/([^/]+)\/versions$/, ([actorId], request) => this.createVersion(actorId, request.body)],
+            ['GET', /^\/v2\/acts\/([^/]+)\/versions\/([^/]+)$/, ([actorId, version]) => ({ data: this.requireVersion(actorId, version) })],
+            ['PUT', /^\/v2\/acts\/([^/]+)\/versions\/([^/]+)$/, ([actorId, version], request) => this.updateVersion(actorId, version, request.body)],
+            ['DELETE', /^\/v2\/acts\/([^/]+)\/versions\/([^/]+)$/, ([actorId, version]) => this.deleteVersion(actorId, version)],
+            ['GET', /^\/v2\/acts\/([^/]+)\/builds$/, ([actorId], request) => this.listBuilds(actorId, request.query)],
+            ['POST', /^\/v2\/acts\/([^/]+)\/builds$/, ([actorId], request) => this.startBuild(actorId, request.query)],
+            ['POST', /^\/v2\/acts\/([^/]+)\/runs$/, ([actorId], request) => this.startRun(actorId, request.body, request.query)],
+            ['GET', /^\/v2\/actor-builds\/([^/]+)$/, ([buildId]) => ({ data: this.advanceJob(this.builds, buildId, 'Build') })],
+            ['GET', /^\/v2\/actor-runs\/([^/]+)$/, ([runId]) => ({ data: this.advanceJob(this.runs, runId, 'Run') })],
+            ['GET', /^\/v2\/actor-runs\/([^/]+)\/dataset\/items$/, ([runId], request) => this.datasetItems(this.requireJob(this.runs, runId, 'Run').defaultDatasetId, request.query)],
+            ['GET', /^\/v2\/datasets\/([^/]+)\/items$/, ([datasetId], request) => this.datasetItems(datasetId, request.query)],
+            ['GET', /^\/v2\/logs\/([^/]+)$/, ([logId]) => this.getLog(logId)],
+            ['GET', /^\/v2\/store\/([^/]+)\/([^/]+)$/, ([username, name]) => this.storeEntry(username, name)],
+            ['GET', /^\/v2\/users\/me$/, () => ({ data: { id: this.userId, username: this.username } })],
+            ['GET', /^\/actor-quality\/scores\/([^/]+)$/, ([actorId]) => this.consoleData(actorId, 'quality')],
+            ['GET', /^\/actor-quality\/praises-and-improvements\/([^/]+)$/, ([actorId]) => this.consoleData(actorId, 'recommendations')],
+            ['GET', /^\/actors\/([^/]+)\/issues\/metrics$/, ([actorId]) => this.consoleData(actorId, 'issuesMetrics')],
+            ['GET', /^\/_mock\/requests$/, () => this.requests],
+            ['DELETE', /^\/_mock\/requests$/, () => { this.requests = []; return { data: {} }; }],
+            ['GET', /^\/_mock\/state$/, () => this.snapshot()],
+            ['POST', /^\/_mock\/reset$/, () => { this.reset(); return { data: {} }; }]
+        ];
+    }
+
+    /**
+     * HTTP request handler
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const text = Buffer.concat(chunks).toString('utf8');
+        let body = text;
+        try {
+            body = text ? JSON.parse(text) : undefined;
+        } catch {
+            // Keep non-JSON bodies as text
+        }
+
+        const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body };
+        const isControl = url.pathname.startsWith('/_mock/');
+        if (!isControl) {
+            this.requests.push(request);
+            if (this.options.onRequest) this.options.onRequest(request);
+        }
+
+        try {
+            if (!isControl && this.token && req.headers.authorization !== `Bearer ${this.token}`) {
+                throw MockApiServer.apiError(401, 'token-not-valid', 'Authentication token is not valid.');
+            }
+            const route = this.routes().find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+            if (!route) {
+                throw MockApiServer.apiError(404, 'page-not-found', `The mock server does not serve ${req.method} ${url.pathname}`);
+            }
+            const result = route[2](url.pathname.match(route[1]).slice(1), request);
+            MockApiServer.send(res, result);
+        } catch (error) {
+            const status = error.statusCode || 500;
+            MockApiServer.send(res, { statusCode: status, body: { error: { type: error.type || 'internal-error', message: error.message } } });
+        }
+    }
+
+    /**
+     * Write a handler result: an object is sent as JSON, { statusCode, body, contentType } as given
+     * @param {http.ServerResponse} res - Response
+     * @param {*} result - Handler result
+     */
+    static send(res, result) {
+        const explicit = result && typeof result === 'object' && 'statusCode' in result;
+        const statusCode = explicit ? result.statusCode : 200;
+        const body = explicit ? result.body : result;
+        if (statusCode === 204) {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        const contentType = (explicit && result.contentType) || 'application/json; charset=utf-8';
+        res.writeHead(statusCode, { 'Content-Type': contentType });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+
+    /**
+     * Error in the Apify API format
+     * @param {number} statusCode - HTTP status
+     * @param {string} type - Error type
+     * @param {string} message - Error message
+     * @returns {Error} - Error carrying statusCode and type
+     */
+    static apiError(statusCode, type, message) {
+        return Object.assign(new Error(message), { statusCode, type });
+    }
+
+    /**
+     * Actor for a URL reference or a 404 error
+     * @param {string} actorId - Actor reference from the URL
+     * @returns {object} - Actor object
+     */
+    requireActor(actorId) {
+        const actor = this.findActor(actorId);
+        if (!actor) throw MockApiServer.apiError(404, 'record-not-found', 'Actor was not found');
+        return actor;
+    }
+
+    /**
+     * Run or build by ID or a 404 error
+     * @param {Map} jobs - this.runs or this.builds
+     * @param {string} jobId - Run or build ID
+     * @param {string} kind - 'Run' or 'Build' (used in errors)
+     * @returns {object} - Stored job
+     */
+    requireJob(jobs, jobId, kind) {
+        const job = jobs.get(jobId);
+        if (!job) throw MockApiServer.apiError(404, 'record-not-found', `${kind} was not found`);
+        return job;
+    }
+
+    /**
+     * GET /v2/acts - paginated list of actors
+     * @param {object} request - Recorded request
+     * @returns {object} - API response
+     */
+    listActors(request) {
+        const offset = parseInt(request.query.offset || '0', 10);
+        const limit = parseInt(request.query.limit || '1000', 10);
+        const all = [...this.actors.values()];
+        const items = all.slice(offset, offset + limit).map(({ id, name, username, title, createdAt, modifiedAt }) => ({ id, name, username, title, createdAt, modifiedAt }));
+        return { data: { total: all.length, offset, limit, count: items.length, desc: false, items } };
+    }
+
+    /**
+     * PUT /v2/acts/:id - top-level fields are replaced, taggedBuilds are merged per tag (null removes a tag)
+     * @param {string} actorId - Actor reference
+     * @param {object} updates - Request body
+     * @returns {object} - API response
+     */
+    updateActor(actorId, updates = {}) {
+        const actor = this.requireActor(actorId);
+        for (const [key, value] of Object.entries(updates)) {
+            if (key === 'taggedBuilds') {
+                for (const [tag, target] of Object.entries(value || {})) {
+                    if (target === null) {
+                        delete actor.taggedBuilds[tag];
+                        continue;
+                    }
+                    const build = this.builds.get(target.buildId);
+                    actor.taggedBuilds[tag] = { buildId: target.buildId, buildNumber: build?.buildNumber, finishedAt: build?.finishedAt };
+                }
+            } else if (!['id', 'username', 'createdAt'].includes(key)) {
+                actor[key] = structuredClone(value);
+            }
+        }
+        actor.modifiedAt = new Date().toISOString();
+        return { data: actor };
+    }
+
+    /**
+     * DELETE /v2/acts/:id
+     * @param {string} actorId - Actor reference
+     * @returns {object} - Empty 204 response
+     */
+    deleteActor(actorId) {
+        const actor = this.requireActor(actorId);
+        this.actors.delete(actor.id);
+        return { statusCode: 204 };
+    }
+
+    /**
+     * Find a version of an actor, failing with the API's 404
+     * @param {string} actorId - Actor reference
+     * @param {string} versionNumber - Version number
+     * @returns {object} - Stored version
+     */
+    requireVersion(actorId, versionNumber) {
+        const version = this.requireActor(actorId).versions.find(v => v.versionNumber === versionNumber);
+        if (!version) throw MockApiServer.apiError(404, 'record-not-found', `Actor version ${versionNumber} was not found`);
+        return version;
+    }
+
+    /**
+     * GET /v2/acts/:id/versions
+     * @param {string} actorId - Actor reference
+     * @returns {object} - API response
+     */
+    listVersions(actorId) {
+        const versions = this.requireActor(actorId).versions;
+        return { data: { total: versions.length, items: versions } };
+    }
+
+    /**
+     * POST /v2/acts/:id/versions
+     * @param {string} actorId - Actor reference
+     * @param {object} version - Version object
+     * @returns {object} - 201 response with the created version
+     */
+    createVersion(actorId, version = {}) {
+        const actor = this.requireActor(actorId);
+        if (!version.versionNumber || !version.sourceType) {
+            throw MockApiServer.apiError(400, 'invalid-input', 'versionNumber and sourceType are required');
+        }
+        if (actor.versions.some(v => v.versionNumber === version.versionNumber)) {
+            throw MockApiServer.apiError(400, 'invalid-input', `Actor version ${version.versionNumber} already exists`);
+        }
+        const created = { buildTag: 'latest', ...structuredClone(version) };
+        actor.versions.push(created);
+        actor.modifiedAt = new Date().toISOString();
+        return { statusCode: 201, body: { data: created } };
+    }
+
+    /**
+     * DELETE /v2/acts/:id/versions/:version - the last version can't be deleted
+     * @param {string} actorId - Actor reference
+     * @param {string} versionNumber - Version number
+     * @returns {object} - Empty 204 response
+     */
+    deleteVersion(actorId, versionNumber) {
+        const actor = this.requireActor(actorId);
+        const version = this.requireVersion(actorId, versionNumber);
+        if (actor.versions.length === 1) {
+            throw MockApiServer.apiError(400, 'invalid-input', 'Cannot delete the only version of an actor');
+        }
+        actor.versions = actor.versions.filter(v => v !== version);
+        actor.modifiedAt = new Date().toISOString();
+        return { statusCode: 204 };
+    }
+
+    /**
+     * GET /v2/acts/:id/builds - oldest first, or newest first with desc=1
+     * @param {string} actorId - Actor reference
+     * @param {object} query - offset, limit, desc
+     * @returns {object} - API response
+     */
+    listBuilds(actorId, query) {
+        const actor = this.requireActor(actorId);
+        const offset = parseInt(query.offset || '0', 10);
+        const limit = parseInt(query.limit || '1000', 10);
+        const desc = query.desc === '1' || query.desc === 'true';
+        const all = [...this.builds.values()].filter(build => build.actId === actor.id).map(build => MockApiServer.publicJob(build));
+        if (desc) all.reverse();
+        const items = all.slice(offset, offset + limit);
+        return { data: { total: all.length, offset, limit, count: items.length, desc, items } };
+    }
+
+    /**
+     * PUT /v2/acts/:id/versions/:version - creates the version when it doesn't exist
+     * @param {string} actorId - Actor reference
+     * @param {string} versionNumber - Version number
+     * @param {object} updates - Version fields
+     * @returns {object} - API response
+     */
+    updateVersion(actorId, versionNumber, updates = {}) {
+        const actor = this.requireActor(actorId);
+        let version = actor.versions.find(v => v.versionNumber === versionNumber);
+        if (!version) {
+            version = { versionNumber, buildTag: 'latest' };
+            actor.versions.push(version);
+        }
+        Object.assign(version, structuredClone(updates), { versionNumber });
+        actor.modifiedAt = new Date().toISOString();
+        return { data: version };
+    }
+
+    /**
+     * POST /v2/acts/:id/builds
+     * @param {string} actorId - Actor reference
+     * @param {object} query - version, useCache, tag
+     * @returns {object} - 201 response with the RUNNING build
+     */
+    startBuild(actorId, query) {
+        const actor = this.requireActor(actorId);
+        const versionNumber = query.version || '0.1';
+        if (!actor.versions.some(v => v.versionNumber === versionNumber)) {
+            throw MockApiServer.apiError(400, 'invalid-input', `Actor version ${versionNumber} was not found`);
+        }
+        const previous = [...this.builds.values()].filter(build => build.actId === actor.id && build.buildNumber?.startsWith(`${versionNumber}.`));
+        const build = {
+            id: this.nextId('build'),
+            actId: actor.id,
+            status: 'RUNNING',
+            buildNumber: `${versionNumber}.${previous.length + 1}`,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            options: { useCache: query.useCache !== 'false' },
+            meta: { origin: 'API' },
+            _tag: query.tag || null
+        };
+        this.builds.set(build.id, build);
+        this.logs.set(build.id, `Building ${actor.name} version ${versionNumber} (build ${build.buildNumber})\n`);
+        return { statusCode: 201, body: { data: MockApiServer.publicJob(build) } };
+    }
+
+    /**
+     * POST /v2/acts/:id/runs - the run's dataset is filled from the actor fixture's `runItems`
+     * @param {string} actorId - Actor reference
+     * @param {*} input - Run input
+     * @param {object} query - build, memory, timeout, maxItems
+     * @returns {object} - 201 response with the RUNNING run
+     */
+    startRun(actorId, input, query) {
+        const actor = this.requireActor(actorId);
+        const datasetId = this.nextId('dataset');
+        const maxItems = query.maxItems ? parseInt(query.maxItems, 10) : undefined;
+        const items = structuredClone(actor.runItems || []);
+        this.datasets.set(datasetId, maxItems !== undefined ? items.slice(0, maxItems) : items);
+
+        const defaults = actor.defaultRunOptions || {};
+        const run = {
+            id: this.nextId('run'),
+            actId: actor.id,
+            status: 'RUNNING',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            buildNumber: query.build || defaults.build || 'latest',
+            defaultDatasetId: datasetId,
+            defaultKeyValueStoreId: this.nextId('store'),
+            options: {
+                build: query.build || defaults.build || 'latest',
+                memoryMbytes: parseInt(query.memory || defaults.memoryMbytes || 1024, 10),
+                timeoutSecs: parseInt(query.timeout || defaults.timeoutSecs || 3600, 10)
+            },
+            input: input === undefined ? {} : input
+        };
+        this.runs.set(run.id, run);
+        this.logs.set(run.id, `Run of ${actor.name} started with input ${JSON.stringify(run.input)}\n`);
+        return { statusCode: 201, body: { data: MockApiServer.publicJob(run) } };
+    }
+
+    /**
+     * Return a run or build, finishing it first when it is still running
+     * A successful build with a tag moves that tag, like the API does.
+     * @param {Map} jobs - this.runs or this.builds
+     * @param {string} jobId - Run or build ID
+     * @param {string} kind - 'Run' or 'Build'
+     * @returns {object} - Job as the API returns it
+     */
+    advanceJob(jobs, jobId, kind) {
+        const job = this.requireJob(jobs, jobId, kind);
+        if (job.status === 'RUNNING') {
+            job.status = this.jobStatus;
+            job.finishedAt = new Date().toISOString();
+            this.logs.set(job.id, `${this.logs.get(job.id) || ''}${kind} finished with status ${job.status}\n`);
+            if (kind === 'Build' && job._tag && job.status === 'SUCCEEDED') {
+                const actor = this.actors.get(job.actId);
+                if (actor) actor.taggedBuilds[job._tag] = { buildId: job.id, buildNumber: job.buildNumber, finishedAt: job.finishedAt };
+            }
+        }
+        return MockApiServer.publicJob(job);
+    }
+
+    /**
+     * Strip mock-only fields (leading underscore)
+     * @param {object} job - Stored run or build
+     * @returns {object} - Job as the API returns it
+     */
+    static publicJob(job) {
+        return Object.fromEntries(Object.entries(job).filter(([key]) => !key.startsWith('_')));
+    }
+
+    /**
+     * GET /v2/datasets/:id/items as json, jsonl or csv
+     * @param {string} datasetId - Dataset ID
+     * @param {object} query - format
+     * @returns {*} - Items or a text response
+     */
+    datasetItems(datasetId, query) {
+        if (!this.datasets.has(datasetId)) {
+            throw MockApiServer.apiError(404, 'record-not-found', 'Dataset was not found');
+        }
+        const items = this.datasets.get(datasetId);
+        const format = query.format || 'json';
+        if (format === 'json') return items;
+        if (format === 'jsonl') {
+            return { statusCode: 200, contentType: 'application/jsonl; charset=utf-8', body: items.map(item => JSON.stringify(item)).join('\n') + (items.length ? '\n' : '') };
+        }
+        if (format === 'csv') {
+            const columns = [...new Set(items.flatMap(item => Object.keys(item)))];
+            const cell = value => {
+                const text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const lines = [columns.join(','), ...items.map(item => columns.map(column => cell(item[column])).join(','))];
+            return { statusCode: 200, contentType: 'text/csv; charset=utf-8', body: `${lines.join('\n')}\n` };
+        }
+        throw MockApiServer.apiError(400, 'invalid-parameter', `Unsupported format '${format}'`);
+    }
+
+    /**
+     * GET /v2/logs/:id - with ?stream=1 too, the text written so far is returned and the stream closes
+     * @param {string} logId - Run or build ID
+     * @returns {object} - Text response
+     */
+    getLog(logId) {
+        if (!this.logs.has(logId)) {
+            throw MockApiServer.apiError(404, 'record-not-found', 'Log was not found');
+        }
+        return { statusCode: 200, contentType: 'text/plain; charset=utf-8', body: this.logs.get(logId) };
+    }
+
+    /**
+     * GET /v2/store/:username/:name - only public actors, extended by the fixture's `store` object
+     * @param {string} username - Owner
+     * @param {string} name - Actor name
+     * @returns {object} - API response
+     */
+    storeEntry(username, name) {
+        const actor = this.findActor(`${username}~${name}`);
+        if (!actor || !actor.isPublic) {
+            throw MockApiServer.apiError(404, 'record-not-found', 'Actor was not found in the Store');
+        }
+        return { data: { id: actor.id, name: actor.name, username: actor.username, title: actor.title, stats: actor.stats, ...(actor.store || {}) } };
+    }
+
+    /**
+     * Console backend data comes from the actor fixture (quality, recommendations, issuesMetrics)
+     * @param {string} actorId - Actor ID (or name, as websy strips the username)
+     * @param {string} key - Fixture key
+     * @returns {object} - Response body
+     */
+    consoleData(actorId, key) {
+        const actor = this.findActor(actorId) || [...this.actors.values()].find(candidate => candidate.name === actorId);
+        if (!actor || actor[key] === undefined) {
+            throw MockApiServer.apiError(404, 'record-not-found', `No ${key} for actor ${actorId}`);
+        }
+        return actor[key];
+    }
+
+    /**
+     * Current state, e.g. to compare against expectations after a command
+     * @returns {object} - { actors, builds, runs, datasets }
+     */
+    snapshot() {
+        return {
+            username: this.username,
+            actors: [...this.actors.values()],
+            builds: [...this.builds.values()].map(build => MockApiServer.publicJob(build)),
+            runs: [...this.runs.values()],
+            datasets: Object.fromEntries(this.datasets)
+        };
+    }
+}
+
+export { MockApiServer };
@@ -0,0 +1,205 @@
+// ProjectScaffolder.mjs
+import fs from 'fs';
+import { join, dirname, relative, resolve, basename } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { ActorSchemaManager } from './ActorSchemaManager.mjs';
+import { SpecError, ValidationError } from './WebsyError.mjs';
+
+const TEMPLATES_DIR = fileURLToPath(new URL('../templates', import.meta.url));
+const TEMPLATE_CONFIG_FILE = 'template.yml';
+const ACTOR_NAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+/**
+ * ProjectScaffolder - Renders a project template (built-in name or directory) into a new actor directory
+ *
+ * A template is a directory of files plus an optional template.yml with `description` and
+ * `defaults` for its variables. File contents use {{variable}} for raw values and
+ * {{json:variable}} for JSON/YAML-safe values; a leading `_` in a file name becomes `.`.
+ * websy-spec.yml is rendered first so other files can use {{inputFields}}, a destructuring
+ * of the input fields it declares.
+ */
+class ProjectScaffolder {
+    /**
+     * @param {string} template - Built-in template name or path to a template directory
+     */
+    constructor(template = 'basic') {
+        this.templateDir = ProjectScaffolder.resolveTemplate(template);
+        const configPath = join(this.templateDir, TEMPLATE_CONFIG_FILE);
+        this.templateConfig = fs.existsSync(configPath)
+            ? yaml.load(fs.readFileSync(configPath, 'utf8')) || {}
+            : {};
+    }
+
+    /**
+     * List the built-in templates
+     * @returns {object[]} - { name, description }
+     */
+    static listTemplates() {
+        return fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => {
+                const configPath = join(TEMPLATES_DIR, entry.name, TEMPLATE_CONFIG_FILE);
+                const config = fs.existsSync(configPath) ? yaml.load(fs.readFileSync(configPath, 'utf8')) || {} : {};
+                return { name: entry.name, description: config.description || '' };
+            });
+    }
+
+    /**
+     * Find the directory of a template
+     * @param {string} template - Built-in template name or path to a template directory
+     * @returns {string} - Absolute template directory
+     * @throws {SpecError} - When the template is neither a directory nor a built-in name
+     */
+    static resolveTemplate(template) {
+        if (fs.existsSync(template) && fs.statSync(template).isDirectory()) {
+            return resolve(template);
+        }
+        const builtIn = join(TEMPLATES_DIR, template);
+        if (/^[\w-]+$/.test(template) && fs.existsSync(builtIn)) {
+            return builtIn;
+        }
+        const names = ProjectScaffolder.listTemplates().map(t => t.name).join(', ');
+        throw new SpecError(`Unknown template '${template}' (built-in: ${names}, or pass a directory)`);
+    }
+
+    /**
+     * Read an answers file (YAML or JSON) with template variables
+     * @param {string} answersPath - Path to the answers file
+     * @returns {object} - Variables
+     * @throws {SpecError} - When the file is missing or not a mapping
+     */
+    static loadAnswers(answersPath) {
+        if (!fs.existsSync(answersPath)) {
+            throw new SpecError(`Answers file not found: ${answersPath}`, { path: answersPath });
+        }
+        const answers = yaml.load(fs.readFileSync(answersPath, 'utf8')) || {};
+        if (typeof answers !== 'object' || Array.isArray(answers)) {
+            throw new SpecError(`Answers file must contain a mapping of variables: ${answersPath}`, { path: answersPath });
+        }
+        return answers;
+    }
+
+    /**
+     * Combine built-in defaults, template defaults and given answers
+     * @param {object} answers - Variables from the answers file and flags (must include name)
+     * @returns {object} - Complete variables
+     * @throws {ValidationError} - When the actor name is missing or invalid
+     */
+    buildVariables(answers) {
+        const name = answers.name;
+        if (!name || !ACTOR_NAME_PATTERN.test(name)) {
+            throw new ValidationError(`Invalid actor name '${name}': use lowercase letters, digits and dashes`, [{ field: 'name', message: 'use lowercase letters, digits and dashes' }]);
+        }
+        return {
+            title: ActorSchemaManager.toTitleCase(name.replace(/-/g, '_')),
+            ...(this.templateConfig.defaults || {}),
+            ...answers
+        };
+    }
+
+    /**
+     * Replace {{variable}} and {{json:variable}} placeholders
+     * @param {string} text - Template content
+     * @param {object} variables - Variables
+     * @param {string} file - File name used in errors
+     * @returns {string} - Rendered content
+     * @throws {ValidationError} - When a placeholder has no value
+     */
+    static render(text, variables, file) {
+        return text.replace(/\{\{\s*(json:)?([\w.]+)\s*\}\}/g, (match, json, key) => {
+            if (!(key in variables)) {
+                throw new ValidationError(`${file}: template variable '${key}' has no value (pass it with --set ${key}=... or in the answers file)`, [{ field: key, message: 'has no value' }]);
+            }
+            const value = variables[key];
+            if (json) return JSON.stringify(value);
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        });
+    }
+
+    /**
+     * JavaScript that reads the declared input fields with their defaults
+     * @param {object} schemas - The schemas section of the rendered spec
+     * @returns {string} - e.g. "const { maxItems = 100 } = input;"
+     */
+    static renderInputFields(schemas) {
+        const manager = new ActorSchemaManager(schemas || {}, { dryRun: true });
+        const fields = Object.keys(schemas?.input?.fields || {});
+        if (fields.length === 0) return '// No input fields are declared in websy-spec.yml';
+
+        const defaults = manager.generateDefaultInput();
+        const parts = fields.map(fieldName => {
+            const isIdentifier = /^[A-Za-z_$][\w$]*$/.test(fieldName);
+            const variable = isIdentifier ? fieldName : fieldName.replace(/[^\w$]+(\w)/g, (m, c) => c.toUpperCase()).replace(/^[^A-Za-z_$]+/, '');
+            const target = isIdentifier ? fieldName : `'${fieldName}': ${variable}`;
+            return defaults[fieldName] !== undefined
+                ? `${target} = ${JSON.stringify(defaults[fieldName])}`
+                : target;
+        });
+        return `const {\n${parts.map(part => `    ${part}`).join(',\n')}\n} = input;`;
+    }
+
+    /**
+     * List the files of the template (without template.yml)
+     * @returns {string[]} - Paths relative to the template directory
+     */
+    listFiles() {
+        const files = [];
+        const walk = dir => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const fullPath = join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (entry.name !== 'node_modules') walk(fullPath);
+                } else {
+                    files.push(relative(this.templateDir, fullPath));
+                }
+            }
+        };
+        walk(this.templateDir);
+        return files.filter(file => file !== TEMPLATE_CONFIG_FILE).sort();
+    }
+
+    /**
+     * Render the template into a directory
+     * @param {string} targetDir - Project directory
+     * @param {object} variables - Result of buildVariables()
+     * @param {object} [options] - Options
+     * @param {boolean} [options.dryRun] - Only return what would be written
+     * @returns {object} - { files: string[], spec: object } with files relative to targetDir
+     * @throws {SpecError|ValidationError} - When the template has no websy-spec.yml or a variable has no value
+     */
+    scaffold(targetDir, variables, options = {}) {
+        const files = this.listFiles();
+        const outputs = new Map();
+        let spec = null;
+
+        // The spec first, so the entry file can read its input fields
+        const ordered = [...files.filter(file => file === 'websy-spec.yml'), ...files.filter(file => file !== 'websy-spec.yml')];
+        for (const file of ordered) {
+            const content = fs.readFileSync(join(this.templateDir, file), 'utf8');
+            const rendered = ProjectScaffolder.render(content, variables, file);
+            if (file === 'websy-spec.yml') {
+                spec = yaml.load(rendered) || {};
+                variables = { ...variables, inputFields: ProjectScaffolder.renderInputFields(spec.schemas) };
+            }
+            const target = join(dirname(file), basename(file).replace(/^_/, '.'));
+            outputs.set(target, rendered);
+        }
+
+        if (!spec) {
+            throw new SpecError(`Template ${this.templateDir} has no websy-spec.yml`, { path: this.templateDir });
+        }
+
+        if (!options.dryRun) {
+            for (const [file, content] of outputs) {
+                const targetPath = join(targetDir, file);
+                fs.mkdirSync(dirname(targetPath), { recursive: true });
+                fs.writeFileSync(targetPath, content, 'utf8');
+            }
+        }
+
+        return { files: [...outputs.keys()], spec };
+    }
+}
+
+export { ProjectScaffolder };
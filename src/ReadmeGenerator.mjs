@@ -0,0 +1,248 @@
+// ReadmeGenerator.mjs
+import fs from 'fs';
+import { join } from 'path';
+import { ActorSchemaManager } from './ActorSchemaManager.mjs';
+
+// Sections written into README.md, each between <!-- websy:<name>:start --> and <!-- websy:<name>:end -->
+const README_SECTIONS = ['input', 'output'];
+
+const DEFAULT_TEMPLATES = {
+    input: `## Input
+
+{{inputTable}}
+
+### Example input
+
+\`\`\`json
+{{exampleInput}}
+\`\`\``,
+    output: `## Output
+
+{{outputTable}}
+{{views}}
+### Example output
+
+\`\`\`json
+{{exampleOutput}}
+\`\`\``
+};
+
+/**
+ * ReadmeGenerator - Renders the Input and Output sections of a Store README from the spec
+ *
+ * Only the text between marker comments is replaced, so hand-written parts of the README
+ * are preserved. Templates use {{placeholders}}: title, inputTable, exampleInput,
+ * outputTable, views, exampleOutput.
+ */
+class ReadmeGenerator {
+    /**
+     * @param {object} schemas - The schemas section from websy-spec.yml
+     * @param {object} options - Additional options
+     * @param {string} options.templatesDir - Directory with input.md / output.md overriding the built-in templates
+     */
+    constructor(schemas, options = {}) {
+        this.manager = new ActorSchemaManager(schemas, { dryRun: true });
+        this.templates = { ...DEFAULT_TEMPLATES };
+
+        if (options.templatesDir) {
+            for (const section of README_SECTIONS) {
+                const templatePath = join(options.templatesDir, `${section}.md`);
+                if (fs.existsSync(templatePath)) {
+                    this.templates[section] = fs.readFileSync(templatePath, 'utf8').trimEnd();
+                }
+            }
+        }
+    }
+
+    /**
+     * Escape a value for use inside a Markdown table cell
+     * @param {*} value - Cell value
+     * @returns {string} - Escaped text
+     */
+    static cell(value) {
+        if (value === undefined || value === null || value === '') return '';
+        const text = typeof value === 'string' ? value : `\`${JSON.stringify(value)}\``;
+        return text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    }
+
+    /**
+     * Render a Markdown table
+     * @param {string[]} headers - Column headers
+     * @param {Array[]} rows - Cell values
+     * @returns {string} - Markdown table
+     */
+    static table(headers, rows) {
+        return [
+            `| ${headers.join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.map(value => ReadmeGenerator.cell(value)).join(' | ')} |`)
+        ].join('\n');
+    }
+
+    /**
+     * Example value for a dataset field: its `example`, or a placeholder by type/format
+     * @param {string} fieldName - Field name
+     * @param {object} fieldConfig - Field configuration from the spec
+     * @returns {*} - Example value
+     */
+    static exampleValue(fieldName, fieldConfig) {
+        if (fieldConfig.example !== undefined) return fieldConfig.example;
+
+        switch (ActorSchemaManager.inferType(fieldConfig)) {
+            case 'integer':
+            case 'number':
+                return 0;
+            case 'boolean':
+                return false;
+            case 'object':
+                return ReadmeGenerator.exampleObject(fieldConfig.properties || {});
+            case 'array': {
+                const items = fieldConfig.items;
+                if (!items) return [];
+                return [ReadmeGenerator.exampleValue(fieldName, items.properties && !items.type ? { ...items, type: 'object' } : items)];
+            }
+            default: {
+                const format = ActorSchemaManager.inferFormat(fieldName, fieldConfig);
+                if (format === 'link') return 'https://example.com';
+                if (format === 'image') return 'https://example.com/image.png';
+                if (format === 'date') return '2025-01-01T00:00:00.000Z';
+                return 'string';
+            }
+        }
+    }
+
+    /**
+     * Example object for a set of dataset fields
+     * @param {object} fields - Field configurations keyed by name
+     * @returns {object} - Example object
+     */
+    static exampleObject(fields) {
+        const example = {};
+        for (const [fieldName, fieldConfig] of Object.entries(fields)) {
+            example[fieldName] = ReadmeGenerator.exampleValue(fieldName, fieldConfig || {});
+        }
+        return example;
+    }
+
+    /**
+     * Flatten a dataset_schema.json property into table rows (nested fields as dotted paths)
+     * @param {string} path - Field path
+     * @param {object} schema - JSON schema of the field
+     * @param {Array[]} rows - Collector for [path, type, description]
+     */
+    static collectOutputRows(path, schema, rows) {
+        const types = [].concat(schema.type || []).filter(type => type !== 'null');
+        const type = types[0] === 'array' && schema.items?.type
+            ? `array of ${[].concat(schema.items.type).filter(t => t !== 'null')[0]}`
+            : types.join(', ');
+        rows.push([`\`${path}\``, type, schema.description || schema.title]);
+
+        for (const [name, child] of Object.entries(schema.properties || {})) {
+            ReadmeGenerator.collectOutputRows(`${path}.${name}`, child, rows);
+        }
+        for (const [name, child] of Object.entries(schema.items?.properties || {})) {
+            ReadmeGenerator.collectOutputRows(`${path}[].${name}`, child, rows);
+        }
+    }
+
+    /**
+     * Values available to the templates
+     * @returns {object} - Placeholder values
+     */
+    buildContext() {
+        const inputSchema = this.manager.generateInputSchema();
+        const datasetSchema = this.manager.generateDatasetSchema();
+        const required = inputSchema.required || [];
+
+        const inputRows = Object.entries(inputSchema.properties).map(([name, field]) => [
+            `${field.title} (\`${name}\`)`,
+            field.type,
+            required.includes(name) ? 'Yes' : 'No',
+            field.default !== undefined ? field.default : field.prefill,
+            field.description
+        ]);
+
+        // Example input: example > prefill > default for each field
+        const exampleInput = {};
+        for (const [name, field] of Object.entries(inputSchema.properties)) {
+            const value = [field.example, field.prefill, field.default].find(candidate => candidate !== undefined);
+            if (value !== undefined) exampleInput[name] = value;
+        }
+
+        const outputRows = [];
+        for (const [name, schema] of Object.entries(datasetSchema.fields.properties)) {
+            ReadmeGenerator.collectOutputRows(name, schema, outputRows);
+        }
+
+        const views = Object.values(datasetSchema.views);
+        const viewLines = views.map(view => {
+            const description = view.description ? ` — ${view.description}` : '';
+            return `- **${view.title}**: ${Object.keys(view.display.properties).map(name => `\`${name}\``).join(', ')}${description}`;
+        });
+
+        return {
+            title: inputSchema.title,
+            inputTable: inputRows.length > 0
+                ? ReadmeGenerator.table(['Field', 'Type', 'Required', 'Default', 'Description'], inputRows)
+                : '_This actor has no input._',
+            exampleInput: JSON.stringify(exampleInput, null, 2),
+            outputTable: outputRows.length > 0
+                ? ReadmeGenerator.table(['Field', 'Type', 'Description'], outputRows)
+                : '_No dataset fields are defined._',
+            views: viewLines.length > 0 ? `\n### Views\n\n${viewLines.join('\n')}\n` : '',
+            exampleOutput: JSON.stringify([ReadmeGenerator.exampleObject(this.manager.getAllDatasetFields())], null, 2)
+        };
+    }
+
+    /**
+     * Render every section from its template
+     * @returns {object} - Markdown keyed by section name
+     */
+    renderSections() {
+        const context = this.buildContext();
+        const sections = {};
+        for (const section of README_SECTIONS) {
+            sections[section] = this.templates[section].replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+                return context[key] !== undefined ? context[key] : match;
+            });
+        }
+        return sections;
+    }
+
+    /**
+     * Replace the marked sections of a README; sections without markers are appended
+     * @param {string} content - Current README content ('' for a new file)
+     * @returns {object} - { content, changed: string[], appended: string[] }
+     */
+    update(content) {
+        const sections = this.renderSections();
+        const changed = [];
+        const appended = [];
+        let result = content;
+
+        for (const [section, markdown] of Object.entries(sections)) {
+            const start = `<!-- websy:${section}:start -->`;
+            const end = `<!-- websy:${section}:end -->`;
+            const block = `${start}\n${markdown}\n${end}`;
+            const startIndex = result.indexOf(start);
+            const endIndex = result.indexOf(end, startIndex);
+
+            if (startIndex === -1 || endIndex === -1) {
+                result = `${result.trimEnd()}${result.trim() ? '\n\n' : ''}${block}\n`;
+                appended.push(section);
+                changed.push(section);
+                continue;
+            }
+
+            const current = result.slice(startIndex, endIndex + end.length);
+            if (current !== block) {
+                result = result.slice(0, startIndex) + block + result.slice(endIndex + end.length);
+                changed.push(section);
+            }
+        }
+
+        return { content: result, changed, appended };
+    }
+}
+
+export { ReadmeGenerator };
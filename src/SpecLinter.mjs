@@ -0,0 +1,227 @@
+// SpecLinter.mjs
+import fs from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { parseDocument, LineCounter, isMap, isScalar } from 'yaml';
+
+const SCHEMA_PATH = fileURLToPath(new URL('../schema/websy-spec.schema.json', import.meta.url));
+
+/**
+ * SpecLinter - Validates websy-spec.yml files against schema/websy-spec.schema.json
+ *
+ * Every problem is reported with the file, line and column it points at, so typos
+ * like `prefil:` or wrong types like `type: int` are caught before anything is generated.
+ */
+class SpecLinter {
+    constructor() {
+        this.schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+        this.ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+        this.validateFn = this.ajv.compile(this.schema);
+    }
+
+    /**
+     * Levenshtein distance, used for "did you mean" hints
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Edit distance
+     */
+    static distance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let prev = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+                prev = current;
+            }
+        }
+        return row[b.length];
+    }
+
+    /**
+     * Suggest the closest known key for an unknown one
+     * @param {string} key - The unknown key
+     * @param {string[]} known - Allowed keys
+     * @returns {string|null} - Closest key, or null if nothing is close
+     */
+    static suggest(key, known) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const candidate of known) {
+            const d = SpecLinter.distance(key.toLowerCase(), candidate.toLowerCase());
+            if (d < bestDistance) {
+                best = candidate;
+                bestDistance = d;
+            }
+        }
+        return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+    }
+
+    /**
+     * Find the source position an Ajv error points at
+     * @param {Document} doc - Parsed YAML document
+     * @param {LineCounter} lineCounter - Line counter used while parsing
+     * @param {string[]} path - Path segments of the offending value
+     * @param {string} [key] - Offending key inside that value (for unknown keys)
+     * @returns {object} - { line, col }
+     */
+    static locate(doc, lineCounter, path, key) {
+        // Walk up until we find a node that exists (e.g. for missing values)
+        for (let depth = path.length; depth >= 0; depth--) {
+            const node = depth === 0 ? doc.contents : doc.getIn(path.slice(0, depth), true);
+            if (!node?.range) continue;
+
+            if (key !== undefined && depth === path.length && isMap(node)) {
+                const pair = node.items.find(item => String(item.key?.value ?? item.key) === key);
+                if (pair?.key?.range) return lineCounter.linePos(pair.key.range[0]);
+            }
+            return lineCounter.linePos(node.range[0]);
+        }
+        return { line: 1, col: 1 };
+    }
+
+    /**
+     * Turn an Ajv error into a readable message
+     * @param {object} error - Ajv error object
+     * @returns {string} - Message
+     */
+    static formatMessage(error) {
+        switch (error.keyword) {
+            case 'additionalProperties': {
+                const key = error.params.additionalProperty;
+                const known = Object.keys(error.parentSchema?.properties || {});
+                const hint = SpecLinter.suggest(key, known);
+                return `unknown key '${key}'` + (hint ? ` (did you mean '${hint}'?)` : '');
+            }
+            case 'enum':
+                return `must be one of: ${error.params.allowedValues.join(', ')} (got ${JSON.stringify(error.data)})`;
+            case 'type':
+                return `must be ${[].concat(error.params.type).join(' or ')} (got ${JSON.stringify(error.data)})`;
+            default:
+                return error.message;
+        }
+    }
+
+    /**
+     * Find version keys that YAML reads as numbers (`1.10:` becomes 1.1 before the schema sees it)
+     * @param {Document} doc - Parsed YAML document
+     * @param {LineCounter} lineCounter - Line counter used while parsing
+     * @param {string} file - File name used in reports
+     * @returns {object[]} - Problems { file, line, col, path, message }
+     */
+    static unquotedVersionKeys(doc, lineCounter, file) {
+        const sections = [['versions']];
+        const environments = doc.getIn(['environments'], true);
+        if (isMap(environments)) {
+            for (const pair of environments.items) {
+                sections.push(['environments', String(pair.key?.value ?? pair.key), 'versions']);
+            }
+        }
+
+        const problems = [];
+        for (const path of sections) {
+            const versions = doc.getIn(path, true);
+            if (!isMap(versions)) continue;
+            for (const pair of versions.items) {
+                if (!isScalar(pair.key) || typeof pair.key.value === 'string') continue;
+                const source = pair.key.source ?? String(pair.key.value);
+                const { line, col } = lineCounter.linePos(pair.key.range[0]);
+                problems.push({
+                    file, line, col,
+                    path: [...path, source].join('.'),
+                    message: `version '${source}' is read as the number ${pair.key.value}, quote it ("${source}":)`
+                });
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Lint YAML source text
+     * @param {string} content - The spec file content
+     * @param {string} [file] - File name used in reports
+     * @returns {object[]} - Problems { file, line, col, path, message }
+     */
+    lintContent(content, file = '<spec>') {
+        const lineCounter = new LineCounter();
+        const doc = parseDocument(content, { lineCounter, prettyErrors: false });
+
+        if (doc.errors.length > 0) {
+            return doc.errors.map(error => {
+                const { line, col } = lineCounter.linePos(error.pos[0]);
+                return { file, line, col, path: '', message: error.message.split('\n')[0] };
+            });
+        }
+
+        const data = doc.toJS() || {};
+        const problems = SpecLinter.unquotedVersionKeys(doc, lineCounter, file);
+        if (this.validateFn(data)) return problems;
+
+        const seen = new Set();
+        for (const error of this.validateFn.errors) {
+            // oneOf/anyOf/propertyNames summaries duplicate the more specific errors
+            if (['oneOf', 'anyOf', 'propertyNames'].includes(error.keyword)) continue;
+
+            const path = error.instancePath.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+            const key = error.keyword === 'additionalProperties' ? error.params.additionalProperty : error.propertyName;
+            const { line, col } = SpecLinter.locate(doc, lineCounter, path, key);
+            const fullPath = [...path, ...(key !== undefined ? [key] : [])].join('.');
+            const message = error.propertyName !== undefined
+                ? `invalid key '${error.propertyName}': ${SpecLinter.formatMessage(error)}`
+                : SpecLinter.formatMessage(error);
+
+            const id = `${line}:${col}:${message}`;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            problems.push({ file, line, col, path: fullPath, message });
+        }
+
+        return problems.sort((a, b) => a.line - b.line || a.col - b.col);
+    }
+
+    /**
+     * Lint a spec file and every file it extends
+     * @param {string} specPath - Path to the spec file
+     * @param {string[]} [chain] - Files already linted (cycle protection)
+     * @returns {object[]} - Problems { file, line, col, path, message }
+     */
+    lintFile(specPath, chain = []) {
+        const fullPath = resolve(specPath);
+        if (chain.includes(fullPath)) return [];
+
+        const content = fs.readFileSync(fullPath, 'utf8');
+        const problems = this.lintContent(content, specPath);
+
+        let parents = [];
+        try {
+            parents = [].concat(parseDocument(content).toJS()?.extends || []);
+        } catch (e) {
+            // Syntax errors are already reported above
+        }
+        for (const parent of parents) {
+            if (typeof parent !== 'string') continue;
+            const parentPath = resolve(dirname(fullPath), parent);
+            if (!fs.existsSync(parentPath)) {
+                problems.push({ file: specPath, line: 1, col: 1, path: 'extends', message: `extended file not found: ${parent}` });
+                continue;
+            }
+            problems.push(...this.lintFile(parentPath, [...chain, fullPath]));
+        }
+
+        return problems;
+    }
+
+    /**
+     * Format a problem as file:line:col for terminal output
+     * @param {object} problem - Problem from lintFile/lintContent
+     * @returns {string} - Formatted line
+     */
+    static formatProblem(problem) {
+        const where = problem.path ? ` ${problem.path}:` : '';
+        return `${problem.file}:${problem.line}:${problem.col}${where} ${problem.message}`;
+    }
+}
+
+export { SpecLinter };
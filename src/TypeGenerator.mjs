@@ -0,0 +1,291 @@
+// TypeGenerator.mjs
+import { ActorSchemaManager } from './ActorSchemaManager.mjs';
+
+const HEADER = '// Generated by websy gen-types from websy-spec.yml - do not edit, run "websy gen-types" instead.\n';
+
+// Shapes of inputs filled by special editors
+const PROXY_TYPE = '{ useApifyProxy?: boolean; apifyProxyGroups?: string[]; apifyProxyCountry?: string; proxyUrls?: string[] }';
+const REQUEST_SOURCE_TYPE = '{ url?: string; requestsFromUrl?: string; method?: string; payload?: string; headers?: Record<string, string>; userData?: Record<string, unknown> }';
+
+// Runtime checker emitted with --validators (mirrors DataValidator.validateValue)
+const VALIDATOR_RUNTIME = `type JsonSchema = { type?: string | string[]; enum?: unknown[]; properties?: Record<string, JsonSchema>; items?: JsonSchema; required?: string[] };
+
+function matchesType(value: unknown, type: string): boolean {
+    switch (type) {
+        case 'null': return value === null;
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+function checkValue(value: unknown, schema: JsonSchema, path: string, errors: string[]): void {
+    const types = ([] as string[]).concat(schema.type ?? []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        errors.push(\`\${path}: expected \${types.join(' or ')}\`);
+        return;
+    }
+    if (schema.enum && value !== null && !schema.enum.includes(value)) {
+        errors.push(\`\${path}: must be one of \${schema.enum.map(v => JSON.stringify(v)).join(', ')}\`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => checkValue(item, schema.items as JsonSchema, \`\${path}[\${index}]\`, errors));
+    }
+    if (matchesType(value, 'object') && schema.properties) {
+        const record = value as Record<string, unknown>;
+        for (const [key, child] of Object.entries(schema.properties)) {
+            if (record[key] !== undefined) checkValue(record[key], child, \`\${path}.\${key}\`, errors);
+        }
+        for (const key of schema.required ?? []) {
+            if (record[key] === undefined) errors.push(\`\${path}.\${key}: is required\`);
+        }
+    }
+}`;
+
+/**
+ * TypeGenerator - Emits TypeScript types (and optional runtime validators) for the actor
+ * input and dataset items, derived from the schemas ActorSchemaManager generates
+ */
+class TypeGenerator {
+    /**
+     * @param {object} schemas - The schemas section from websy-spec.yml
+     */
+    constructor(schemas) {
+        this.manager = new ActorSchemaManager(schemas, { dryRun: true });
+    }
+
+    /**
+     * Quote a property name when it is not a valid identifier
+     * @param {string} name - Property name
+     * @returns {string} - Name usable in an interface
+     */
+    static propertyName(name) {
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+    }
+
+    /**
+     * Render a JSDoc block
+     * @param {string[]} lines - Comment lines (empty ones are dropped)
+     * @param {string} indent - Indentation
+     * @returns {string} - Comment, or '' without lines
+     */
+    static comment(lines, indent) {
+        const text = lines.filter(Boolean).map(line => line.replace(/\*\//g, '*\\/'));
+        if (text.length === 0) return '';
+        if (text.length === 1) return `${indent}/** ${text[0]} */\n`;
+        return `${indent}/**\n${text.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+    }
+
+    /**
+     * Literal union for enum values
+     * @param {Array} values - Enum values
+     * @returns {string} - e.g. 'new' | 'top'
+     */
+    static literalUnion(values) {
+        return values.map(value => JSON.stringify(value)).join(' | ');
+    }
+
+    /**
+     * TypeScript type of an input_schema.json property
+     * @param {object} field - Input schema property
+     * @returns {string} - TypeScript type
+     */
+    static inputType(field) {
+        let type;
+        switch (field.type) {
+            case 'string':
+                type = field.enum ? TypeGenerator.literalUnion(field.enum) : 'string';
+                break;
+            case 'integer':
+            case 'number':
+                type = 'number';
+                break;
+            case 'boolean':
+                type = 'boolean';
+                break;
+            case 'object':
+                type = field.editor === 'proxy' ? PROXY_TYPE : 'Record<string, unknown>';
+                break;
+            case 'array':
+                if (field.items?.enum) {
+                    type = `Array<${TypeGenerator.literalUnion(field.items.enum)}>`;
+                } else if (field.editor === 'requestListSources') {
+                    type = `Array<${REQUEST_SOURCE_TYPE}>`;
+                } else if (field.editor === 'stringList') {
+                    type = 'string[]';
+                } else if (field.editor === 'keyValue') {
+                    type = 'Array<{ key: string; value: string }>';
+                } else if (field.items?.type) {
+                    type = `${TypeGenerator.jsonType({ type: field.items.type })}[]`;
+                } else {
+                    type = 'unknown[]';
+                }
+                break;
+            default:
+                type = 'unknown';
+        }
+        return field.nullable ? `${type} | null` : type;
+    }
+
+    /**
+     * TypeScript type of a dataset_schema.json property (recursive)
+     * @param {object} schema - JSON schema of the value
+     * @param {string} indent - Indentation of nested object members
+     * @returns {string} - TypeScript type
+     */
+    static jsonType(schema, indent = '    ') {
+        const types = [].concat(schema.type || 'unknown');
+        const parts = types.map(type => {
+            switch (type) {
+                case 'null':
+                    return 'null';
+                case 'integer':
+                case 'number':
+                    return 'number';
+                case 'string':
+                case 'boolean':
+                    return type;
+                case 'array': {
+                    if (!schema.items) return 'unknown[]';
+                    return `Array<${TypeGenerator.jsonType(schema.items, indent)}>`;
+                }
+                case 'object': {
+                    if (!schema.properties) return 'Record<string, unknown>';
+                    const members = Object.entries(schema.properties).map(([name, child]) => {
+                        const doc = TypeGenerator.comment([child.description], `${indent}    `);
+                        return `${doc}${indent}    ${TypeGenerator.propertyName(name)}: ${TypeGenerator.jsonType(child, `${indent}    `)};`;
+                    });
+                    return `{\n${members.join('\n')}\n${indent}}`;
+                }
+                default:
+                    return 'unknown';
+            }
+        });
+        return parts.join(' | ');
+    }
+
+    /**
+     * Render the Input interface
+     * @returns {string} - TypeScript source
+     */
+    renderInput() {
+        const inputSchema = this.manager.generateInputSchema();
+        const required = inputSchema.required || [];
+        const members = Object.entries(inputSchema.properties).map(([name, field]) => {
+            const doc = TypeGenerator.comment([
+                field.description || field.title,
+                field.default !== undefined ? `@default ${JSON.stringify(field.default)}` : '',
+                field.default === undefined && field.prefill !== undefined ? `Prefilled in the Console with ${JSON.stringify(field.prefill)}` : ''
+            ], '    ');
+            const optional = required.includes(name) ? '' : '?';
+            return `${doc}    ${TypeGenerator.propertyName(name)}${optional}: ${TypeGenerator.inputType(field)};`;
+        });
+        return `/** Actor input, as described by .actor/input_schema.json */\nexport interface Input {\n${members.join('\n')}\n}\n`;
+    }
+
+    /**
+     * Render the DatasetItem interface
+     * Fields from field_groups are optional: they are only filled when their input toggle is on.
+     * @returns {string} - TypeScript source
+     */
+    renderDatasetItem() {
+        const datasetSchema = this.manager.generateDatasetSchema();
+        const allFields = this.manager.getAllDatasetFields();
+        const fieldGroups = this.manager.getFieldGroups();
+        const members = Object.entries(datasetSchema.fields.properties).map(([name, schema]) => {
+            const groupName = allFields[name]?._fromGroup;
+            // Group fields with toggles already say which input fills them
+            const hasToggles = groupName && fieldGroups[groupName]?.toggles.length > 0;
+            const doc = TypeGenerator.comment([
+                schema.description,
+                groupName && !hasToggles ? `Part of field_group '${groupName}', missing from items that don't include it.` : ''
+            ], '    ');
+            const optional = groupName ? '?' : '';
+            return `${doc}    ${TypeGenerator.propertyName(name)}${optional}: ${TypeGenerator.jsonType(schema)};`;
+        });
+        return `/** One item of the default dataset */\nexport interface DatasetItem {\n${members.join('\n')}\n}\n`;
+    }
+
+    /**
+     * Render runtime validators for Input and DatasetItem
+     * The dataset check requires the same members DatasetItem declares: every field outside
+     * field_groups and every nested property (jsonType renders them all as required).
+     * @returns {string} - TypeScript source
+     */
+    renderValidators() {
+        const inputSchema = this.manager.generateInputSchema();
+        const fieldsSchema = this.manager.generateDatasetSchema().fields;
+        const allFields = this.manager.getAllDatasetFields();
+
+        // Only the keys the runtime checker understands; nestedRequired marks nested properties as required
+        const strip = (schema, nestedRequired = false) => {
+            const result = {};
+            if (schema.type) result.type = schema.type;
+            if (schema.enum) result.enum = schema.enum;
+            if (schema.items) result.items = strip(schema.items, nestedRequired);
+            if (schema.properties) {
+                result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [key, strip(child, nestedRequired)]));
+            }
+            const required = nestedRequired && schema.properties ? Object.keys(schema.properties) : schema.required;
+            if (required?.length) result.required = required;
+            return result;
+        };
+        const inputProperties = Object.fromEntries(Object.entries(inputSchema.properties).map(([key, field]) => [
+            key,
+            strip({ ...field, type: field.nullable ? [field.type, 'null'] : field.type })
+        ]));
+        const inputCheck = { type: 'object', properties: inputProperties, required: inputSchema.required || [] };
+        const itemCheck = {
+            type: 'object',
+            ...strip(fieldsSchema, true),
+            required: Object.keys(fieldsSchema.properties).filter(name => !allFields[name]?._fromGroup)
+        };
+
+        return `${VALIDATOR_RUNTIME}
+
+const INPUT_SCHEMA: JsonSchema = ${JSON.stringify(inputCheck)};
+const DATASET_ITEM_SCHEMA: JsonSchema = ${JSON.stringify(itemCheck)};
+
+/** Problems with an input, empty when it matches the spec */
+export function validateInput(value: unknown): string[] {
+    const errors: string[] = [];
+    checkValue(value, INPUT_SCHEMA, 'input', errors);
+    return errors;
+}
+
+/** Throw when the input doesn't match the spec */
+export function assertInput(value: unknown): asserts value is Input {
+    const errors = validateInput(value);
+    if (errors.length > 0) throw new Error(\`Invalid input:\\n\${errors.join('\\n')}\`);
+}
+
+/** Problems with a dataset item, empty when it matches the spec */
+export function validateDatasetItem(value: unknown): string[] {
+    const errors: string[] = [];
+    checkValue(value, DATASET_ITEM_SCHEMA, 'item', errors);
+    return errors;
+}
+
+/** Type guard for dataset items, e.g. before Actor.pushData() */
+export function isDatasetItem(value: unknown): value is DatasetItem {
+    return validateDatasetItem(value).length === 0;
+}
+`;
+    }
+
+    /**
+     * Render the whole file
+     * @param {object} [options] - Options
+     * @param {boolean} [options.validators] - Include runtime validators (needs a .ts file)
+     * @returns {string} - TypeScript source
+     */
+    render(options = {}) {
+        const parts = [HEADER, this.renderInput(), this.renderDatasetItem()];
+        if (options.validators) parts.push(this.renderValidators());
+        return parts.join('\n');
+    }
+}
+
+export { TypeGenerator };
@@ -1,13 +1,27 @@
 #!/usr/bin/env node
 // Websy.mjs
-import got from 'got';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { join } from 'path';
+import { join, dirname, resolve, relative } from 'path';
+import readline from 'readline/promises';
 import { Command } from 'commander';
 import yaml from 'js-yaml';
+import { parseDocument, Document, isMap, isScalar } from 'yaml';
 
 import { ActorSchemaManager } from './ActorSchemaManager.mjs';
+import { Workspace } from './Workspace.mjs';
+import { SpecLinter } from './SpecLinter.mjs';
+import { DataValidator } from './DataValidator.mjs';
+import { ActorIcon } from './ActorIcon.mjs';
+import { ReadmeGenerator } from './ReadmeGenerator.mjs';
+import { DatasetInferrer } from './DatasetInferrer.mjs';
+import { ProjectScaffolder } from './ProjectScaffolder.mjs';
+import { TypeGenerator } from './TypeGenerator.mjs';
+import { ApiClient } from './ApiClient.mjs';
+import { MockApiServer } from './MockApiServer.mjs';
+import { Logger } from './Logger.mjs';
+import { CredentialStore } from './CredentialStore.mjs';
+import { WebsyError, SpecError, ValidationError, ApiError, AuthError } from './WebsyError.mjs';
 
 // Valid categories that can be set for an actor
 //  Updated 251217 - import { ACTOR_CATEGORIES } from '@apify/consts';
@@ -17,50 +31,159 @@ const VALID_CATEGORIES = [
     'TRAVEL', 'VIDEOS', 'REAL_ESTATE', 'SPORTS', 'EDUCATION', 'INTEGRATIONS', 'OTHER', 'OPEN_SOURCE', 'MCP_SERVERS'
 ];
 
+// actor_details keys that map 1:1 onto fields of the actor API object
+const ACTOR_DETAIL_FIELDS = [
+    'title', 'description', 'seoTitle', 'seoDescription', 'isPublic', 'isDeprecated', 'notice',
+    'categories', 'defaultRunOptions'
+];
+
+// Run/build statuses after which a run or build won't change anymore, and the exit code `websy run` uses for each
+const TERMINAL_RUN_STATUSES = ['SUCCEEDED', 'FAILED', 'TIMED-OUT', 'ABORTED'];
+const RUN_STATUS_EXIT_CODES = { 'SUCCEEDED': 0, 'FAILED': 1, 'TIMED-OUT': 2, 'ABORTED': 3 };
+
+// actor_details keys that are handled by websy itself instead of being sent to the API as-is
+const LOCAL_ONLY_DETAIL_FIELDS = ['icon'];
+
+// Spec `versions.<number>.source_type` values and the API sourceType each one stands for
+const VERSION_SOURCE_TYPES = { source_files: 'SOURCE_FILES', git_repo: 'GIT_REPO', tarball: 'TARBALL' };
+
+// Source files that may hold the Dockerfile of a SOURCE_FILES version, in lookup order
+const DOCKERFILE_SOURCE_NAMES = ['.actor/Dockerfile', 'Dockerfile'];
+
+// First FROM line of a Dockerfile: flags like --platform=... and the image reference
+const DOCKERFILE_FROM_PATTERN = /^(\s*FROM\s+(?:--\S+\s+)*)(\S+)/im;
+
+// Last synced actor_details per actor, stored next to the spec
+const SYNC_STATE_FILE = '.websy-state.json';
+
+// customData key holding the content hash of the icon websy uploaded, so any checkout can compare against it
+const ICON_HASH_KEY = 'websyIconHash';
+
+// Transport options set by the global CLI flags (--debug, --request-timeout, --retries, --proxy)
+const transportDefaults = {};
+
+// Credential options set by the global CLI flags (--profile)
+const credentialDefaults = {};
+
 // Actor Manager interface - provides tools to simplify deployment over the standard apify commands
 class Websy {
-    constructor({ apiToken, baseUrl } = {}) {
-        this.apiToken = apiToken || process.env.APIFY_TOKEN;
-        this.baseUrl = baseUrl || 'https://api.apify.com/v2';
-        if (!this.apiToken) {
-            console.error('APIFY_TOKEN environment variable is required.');
-            process.exit(1);
-        }
-        this.client = got.extend({
-            prefixUrl: this.baseUrl,
-            headers: {
-                'Authorization': `Bearer ${this.apiToken}`,
-                'Content-Type': 'application/json'
-            },
-            responseType: 'json'
-        });
+    /**
+     * @param {object} [options] - Client options
+     * @param {string} [options.apiToken] - Apify API token (defaults to the credentials picked by CredentialStore#resolve)
+     * @param {string} [options.profile] - Saved profile to use (see `websy login`)
+     * @param {string} [options.username] - Account username for actor IDs derived from .actor/actor.json (defaults to the profile's, or users/me)
+     * @param {CredentialStore} [options.credentials] - Credential store (defaults to ~/.websy/credentials.json)
+     * @param {string} [options.baseUrl] - Apify API base URL (defaults to APIFY_API_BASE_URL or api.apify.com)
+     * @param {object} [options.transport] - Further ApiClient options (timeoutSecs, retries, proxy, debug, consoleBaseUrl)
+     * @param {object} [options.logger] - Logger with info/warn/error/debug (defaults to the console)
+     * @throws {AuthError} - When no token was found, or the named profile doesn't exist
+     */
+    constructor({ apiToken, profile, username, credentials, baseUrl, transport = {}, logger } = {}) {
+        this.logger = Logger.from(logger);
+        const resolved = apiToken
+            ? { token: apiToken, username: null, profile: null, source: 'apiToken' }
+            : (credentials || new CredentialStore()).resolve({ profile: profile || credentialDefaults.profile });
+        if (!resolved?.token) {
+            throw new AuthError('No Apify API token found. Run "websy login", set APIFY_TOKEN, log in with the Apify CLI, or pass apiToken.');
+        }
+        this.apiToken = resolved.token;
+        this.username = username || resolved.username || null;
+        this.profile = resolved.profile;
+        this.credentialSource = resolved.source;
+        this.transport = new ApiClient({ ...transportDefaults, ...transport, token: this.apiToken, baseUrl });
+        this.baseUrl = this.transport.baseUrl;
+        this.client = this.transport.api;
+        this.consoleClient = this.transport.console;
+    }
+
+    /**
+     * Read the actor name from .actor/actor.json
+     * @param {string} [basePath] - Actor project directory (defaults to the current working directory)
+     * @param {object} [logger] - Logger for read errors
+     * @returns {string|null} - The actor name or null if there's no actor.json or it has no name
+     */
+    static readActorName(basePath = process.cwd(), logger = Logger.console()) {
+        try {
+            const actorJsonPath = join(basePath, '.actor', 'actor.json');
+            if (fs.existsSync(actorJsonPath)) {
+                return JSON.parse(fs.readFileSync(actorJsonPath, 'utf8')).name || null;
+            }
+        } catch (error) {
+            logger.warn(`Error reading actor.json: ${error.message}`);
+        }
+        return null;
     }
 
     /**
      * Get actor ID either from provided value or by inspecting the .actor/actor.json file
      * @param {string} providedId - Optionally provided actor ID
-     * @param {string} [prefix] - Prefix to use when constructing ID from name (defaults to APIFY_USERNAME env var)
+     * @param {string} prefix - Username to use when constructing ID from name (see Websy#getUsername)
+     * @param {string} [basePath] - Actor project directory (defaults to the current working directory)
+     * @param {object} [logger] - Logger for the derived ID and read errors
      * @returns {string|null} - The resolved actor ID or null if it couldn't be determined
      */
-    static resolveActorId(providedId, prefix = process.env.APIFY_USERNAME) {
+    static resolveActorId(providedId, prefix, basePath = process.cwd(), logger = Logger.console()) {
         if (providedId) return providedId;
 
+        return Websy.deriveActorId(Websy.readActorName(basePath, logger), prefix, logger);
+    }
+
+    /**
+     * Build the actor ID from the name in .actor/actor.json
+     * @param {string|null} actorName - Actor name (see Websy.readActorName)
+     * @param {string} prefix - Username to use as the ID prefix
+     * @param {object} [logger] - Logger for the derived ID
+     * @returns {string|null} - `<prefix>~<actorName>` or null if either is missing
+     */
+    static deriveActorId(actorName, prefix, logger = Logger.console()) {
+        if (!actorName || !prefix) return null;
+
+        const derivedId = `${prefix}~${actorName}`;
+        logger.info(`Using actor ID: ${derivedId} (derived from actor name in .actor/actor.json)`);
+        return derivedId;
+    }
+
+    /**
+     * Get the account the token belongs to
+     * @returns {Promise<object>} - The users/me data ({ id, username, ... })
+     * @throws {AuthError} - When the token is rejected
+     * @throws {ApiError} - When the request fails
+     */
+    async getCurrentUser() {
         try {
-            const actorJsonPath = join(process.cwd(), '.actor', 'actor.json');
-            if (fs.existsSync(actorJsonPath)) {
-                const actorJson = JSON.parse(fs.readFileSync(actorJsonPath, 'utf8'));
-                const actorName = actorJson.name;
-                if (actorName) {
-                    const derivedId = `${prefix}~${actorName}`;
-                    console.log(`Using actor ID: ${derivedId} (derived from actor name in .actor/actor.json)`);
-                    return derivedId;
-                }
-            }
+            const response = await this.client.get('users/me');
+            return response.body.data;
         } catch (error) {
-            console.error('Error reading actor.json:', error.message);
+            throw ApiError.from(error, 'get the current user');
         }
+    }
 
-        return null;
+    /**
+     * Username of the token's account: the one passed in or saved with the profile, else looked up via users/me
+     * @returns {Promise<string>} - The username
+     * @throws {ApiError} - When the lookup fails
+     */
+    async getUsername() {
+        if (!this.username) {
+            this.username = (await this.getCurrentUser()).username;
+        }
+        return this.username;
+    }
+
+    /**
+     * Get actor ID either from provided value or from .actor/actor.json and the token's username
+     * @param {string} providedId - Optionally provided actor ID
+     * @param {string} [basePath] - Actor project directory (defaults to the current working directory)
+     * @returns {Promise<string|null>} - The resolved actor ID or null if it couldn't be determined
+     * @throws {ApiError} - When the username lookup fails
+     */
+    async actorIdFor(providedId, basePath = process.cwd()) {
+        if (providedId) return providedId;
+
+        // Read actor.json once, so a read error is only reported once
+        const actorName = Websy.readActorName(basePath, this.logger);
+        if (!actorName) return null;
+        return Websy.deriveActorId(actorName, await this.getUsername(), this.logger);
     }
 
     /**
@@ -88,39 +211,594 @@ class Websy {
         return { valid: true };
     }
 
-    static loadSpec(specPath) {
+    /**
+     * Load a spec file, resolving `extends:` chains and an optional `environments:` overlay
+     * @param {string} specPath - Path to spec file
+     * @param {object} [options] - Load options
+     * @param {string} [options.env] - Name of the environment overlay to apply
+     * @returns {object} - The effective spec
+     * @throws {SpecError} - When the spec (or a file it extends) can't be read or parsed
+     */
+    static loadSpec(specPath, { env } = {}) {
         if (!specPath) {
-            console.error('Spec file path is required.');
-            // process.exit(1); // let caller decide
+            throw new SpecError('Spec file path is required.');
         }
 
         try {
-            const content = fs.readFileSync(specPath, 'utf8');
-            return yaml.load(content);
+            return Websy.resolveSpec(specPath, env);
         } catch (e) {
-            console.error('Failed to read or parse spec file:', e.message);
-            // process.exit(1); // let caller decide
-            throw e;
+            if (e instanceof SpecError) throw e;
+            throw new SpecError(`Failed to read or parse spec file ${specPath}: ${e.message}`, { path: specPath, cause: e });
         }
     }
 
     /**
      * Try to load spec file, returning null if not found
      * @param {string} specPath - Path to spec file
+     * @param {object} [options] - Same options as loadSpec
      * @returns {object|null} - Parsed YAML or null
      */
-    static tryLoadSpec(specPath) {
+    static tryLoadSpec(specPath, options = {}) {
         try {
             if (!fs.existsSync(specPath)) {
                 return null;
             }
-            const content = fs.readFileSync(specPath, 'utf8');
-            return yaml.load(content);
+            return Websy.resolveSpec(specPath, options.env);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Read a spec, deep-merge it over the files it `extends`, then apply `environments[env]`
+     * Objects are merged key by key; arrays and scalars from the extending spec replace the base.
+     * @param {string} specPath - Path to spec file
+     * @param {string} [env] - Name of the environment overlay to apply
+     * @param {string[]} [chain] - Specs already being resolved (cycle detection)
+     * @returns {object} - The effective spec, without `extends` and `environments`
+     */
+    static resolveSpec(specPath, env, chain = []) {
+        const fullPath = resolve(specPath);
+        if (chain.includes(fullPath)) {
+            throw new SpecError(`Circular extends: ${[...chain, fullPath].join(' -> ')}`, { path: specPath });
+        }
+
+        const spec = yaml.load(fs.readFileSync(fullPath, 'utf8')) || {};
+        const { extends: parents, environments, ...own } = spec;
+
+        let merged = {};
+        for (const parent of [].concat(parents || [])) {
+            const parentPath = resolve(dirname(fullPath), parent);
+            merged = Websy.deepMerge(merged, Websy.resolveSpec(parentPath, undefined, [...chain, fullPath]));
+        }
+        merged = Websy.deepMerge(merged, own);
+
+        // Overlays are looked up on the merged spec so a base file can define them too
+        const overlays = Websy.deepMerge(merged.environments || {}, environments || {});
+        delete merged.environments;
+        if (env) {
+            if (!overlays[env]) {
+                const known = Object.keys(overlays);
+                throw new SpecError(`Unknown environment '${env}'` + (known.length ? ` (available: ${known.join(', ')})` : ''), { path: specPath });
+            }
+            merged = Websy.deepMerge(merged, overlays[env]);
+        } else if (chain.length > 0 && Object.keys(overlays).length > 0) {
+            // Keep overlays of base files around for the extending spec
+            merged.environments = overlays;
+        }
+
+        return merged;
+    }
+
+    /**
+     * Deep merge two plain objects (arrays are replaced, not concatenated)
+     * @param {object} base - Base object
+     * @param {object} override - Values that take precedence
+     * @returns {object} - New merged object
+     */
+    static deepMerge(base, override) {
+        const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        const result = { ...base };
+        for (const [key, value] of Object.entries(override || {})) {
+            result[key] = isPlainObject(value) && isPlainObject(result[key])
+                ? Websy.deepMerge(result[key], value)
+                : value;
+        }
+        return result;
+    }
+
+    /**
+     * Replace (or append) a top-level section of a spec file, keeping the rest of the file untouched
+     * @param {string} content - Existing spec file content ('' for a new file)
+     * @param {string} key - Top-level key to replace (e.g. 'schemas')
+     * @param {object} value - New value for the section
+     * @returns {string} - Updated spec file content
+     */
+    static replaceSpecSection(content, key, value) {
+        const section = yaml.dump({ [key]: value }, { lineWidth: -1, noRefs: true });
+        const lines = content.split('\n');
+        const start = lines.findIndex(line => line.startsWith(`${key}:`));
+
+        if (start === -1) {
+            const prefix = content.length > 0 && !content.endsWith('\n') ? content + '\n' : content;
+            return prefix + (prefix.length > 0 ? '\n' : '') + section;
+        }
+
+        // Section ends at the next top-level key; trailing comments/blank lines belong to what follows
+        let end = lines.findIndex((line, i) => i > start && /^[^\s#]/.test(line));
+        if (end === -1) end = lines.length;
+        while (end > start + 1 && /^\s*(#.*)?$/.test(lines[end - 1])) end--;
+
+        const sectionLines = section.replace(/\n$/, '').split('\n');
+        return [...lines.slice(0, start), ...sectionLines, ...lines.slice(end)].join('\n');
+    }
+
+    /**
+     * Write maps changed in a parsed spec back into its source text, leaving everything else as it was
+     * Falls back to re-serializing the whole document when a map isn't a block map of the original text.
+     * @param {string} content - Spec file content the document was parsed from
+     * @param {Document} doc - The parsed document, with the maps at `paths` modified in place
+     * @param {Array<string[]>} paths - Paths of the changed maps (not nested in each other)
+     * @returns {string} - Updated spec file content
+     */
+    static spliceSpecNodes(content, doc, paths) {
+        const edits = [];
+        for (const path of paths) {
+            const node = doc.getIn(path, true);
+            if (!isMap(node) || node.flow || !node.range || node.items.length === 0) return doc.toString();
+            const [start, , end] = node.range;
+            const indent = ' '.repeat(start - content.lastIndexOf('\n', start - 1) - 1);
+            // A comment above the first key belongs to the map but lies before its range, so it stays as written
+            const copy = node.clone();
+            copy.commentBefore = undefined;
+            const text = new Document(copy).toString().replace(/\n(?=.)/g, `\n${indent}`);
+            edits.push({ start, end, text: content.slice(start, end).endsWith('\n') ? text : text.replace(/\n$/, '') });
+        }
+
+        let result = content;
+        for (const edit of edits.sort((a, b) => b.start - a.start)) {
+            result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+        }
+        return result;
+    }
+
+    /**
+     * Deep equality that ignores object key order (categories are compared as sets)
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @param {string} [field] - actor_details key being compared
+     * @returns {boolean} - True if equal
+     */
+    static valuesEqual(a, b, field) {
+        const normalize = (value) => {
+            if (Array.isArray(value)) return value.map(normalize);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]));
+            }
+            return value;
+        };
+        if (field === 'categories' && Array.isArray(a) && Array.isArray(b)) {
+            a = [...a].sort();
+            b = [...b].sort();
+        }
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+
+    /**
+     * Load everything recorded for an actor in the sync state file
+     * @param {string} specPath - Path to the spec file (state lives next to it)
+     * @param {string} actorId - The actor ID
+     * @returns {object|null} - { syncedAt, actor_details, iconHash, pictureUrl } or null
+     */
+    static loadSyncEntry(specPath, actorId) {
+        try {
+            const statePath = join(dirname(specPath), SYNC_STATE_FILE);
+            const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+            return state[actorId] || null;
         } catch (e) {
             return null;
         }
     }
 
+    /**
+     * Load the last synced actor_details for an actor
+     * @param {string} specPath - Path to the spec file (state lives next to it)
+     * @param {string} actorId - The actor ID
+     * @returns {object|null} - Last synced actor_details or null
+     */
+    static loadSyncState(specPath, actorId) {
+        return Websy.loadSyncEntry(specPath, actorId)?.actor_details || null;
+    }
+
+    /**
+     * Merge values into the sync state entry of an actor
+     * @param {string} specPath - Path to the spec file (state lives next to it)
+     * @param {string} actorId - The actor ID
+     * @param {object} patch - Values to merge into the entry
+     */
+    static updateSyncEntry(specPath, actorId, patch) {
+        const statePath = join(dirname(specPath), SYNC_STATE_FILE);
+        let state = {};
+        try {
+            state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        } catch (e) {
+            // No state yet
+        }
+        state[actorId] = { ...state[actorId], syncedAt: new Date().toISOString(), ...patch };
+        fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n', 'utf8');
+    }
+
+    /**
+     * Record the actor_details that are now identical locally and online
+     * @param {string} specPath - Path to the spec file (state lives next to it)
+     * @param {string} actorId - The actor ID
+     * @param {object} details - The synced actor_details values
+     */
+    static saveSyncState(specPath, actorId, details) {
+        Websy.updateSyncEntry(specPath, actorId, { actor_details: details });
+    }
+
+    /**
+     * Compare the local actor_details.icon with what websy last uploaded
+     * The deployed image can't be compared byte for byte (the platform re-encodes it),
+     * so the hash websy stored in the actor's customData at upload time is used instead
+     * (falling back to .websy-state.json for icons uploaded before the hash was kept online).
+     * The pictureUrl recorded in the state file, when there is one, also catches icons replaced in the Console.
+     * @param {object} localSpec - The local websy-spec.yml data
+     * @param {string} specPath - Path to the spec file (icon path is relative to it)
+     * @param {string} actorId - The actor ID
+     * @param {object} actorData - The actor data from API
+     * @returns {object|null} - { status: 'match'|'changed'|'unknown'|'missing', icon, message } or null without a local icon
+     */
+    static getIconStatus(localSpec, specPath, actorId, actorData) {
+        const iconRef = localSpec?.actor_details?.icon;
+        if (!iconRef) return null;
+
+        const icon = ActorIcon.load(resolve(dirname(specPath), iconRef));
+        const entry = Websy.loadSyncEntry(specPath, actorId);
+
+        if (!Websy.hasIcon(actorData)) {
+            return { status: 'missing', icon, message: `no icon deployed, local ${iconRef} will be uploaded` };
+        }
+        const uploadedHash = actorData.customData?.[ICON_HASH_KEY] || entry?.iconHash;
+        if (!uploadedHash) {
+            return { status: 'unknown', icon, message: `deployed icon was not uploaded by websy, can't compare with ${iconRef}` };
+        }
+        if (uploadedHash !== icon.hash) {
+            return { status: 'changed', icon, message: `${iconRef} changed since the last upload` };
+        }
+        if (entry?.iconHash === uploadedHash && entry.pictureUrl && actorData.pictureUrl && entry.pictureUrl !== actorData.pictureUrl) {
+            return { status: 'changed', icon, message: 'icon was changed online since the last upload' };
+        }
+        return { status: 'match', icon, message: `deployed icon matches ${iconRef}` };
+    }
+
+    /**
+     * Pick the synced actor_details fields from an online actor object
+     * @param {object} actorData - The actor data from API
+     * @returns {object} - actor_details values
+     */
+    static pickActorDetails(actorData) {
+        const details = {};
+        for (const key of ACTOR_DETAIL_FIELDS) {
+            if (actorData[key] !== undefined && actorData[key] !== null) {
+                details[key] = actorData[key];
+            }
+        }
+        return details;
+    }
+
+    /**
+     * Check the `versions` section of a spec beyond what the JSON schema covers
+     * @param {object} versions - Spec versions keyed by version number
+     * @returns {string[]} - Error messages (empty when valid)
+     */
+    static validateVersions(versions) {
+        const errors = [];
+        for (const [number, version] of Object.entries(versions || {})) {
+            if (!/^\d+\.\d+$/.test(number)) {
+                errors.push(`Version '${number}': version numbers look like MAJOR.MINOR and must be quoted in YAML (e.g. "1.0")`);
+            }
+            if (!version || typeof version !== 'object') {
+                errors.push(`Version '${number}' must be a mapping`);
+                continue;
+            }
+            if (!VERSION_SOURCE_TYPES[version.source_type]) {
+                errors.push(`Version '${number}': source_type must be one of ${Object.keys(VERSION_SOURCE_TYPES).join(', ')}`);
+            }
+            if (version.source_type === 'git_repo' && !version.git_repo_url) {
+                errors.push(`Version '${number}': git_repo needs git_repo_url`);
+            }
+            if (version.source_type === 'tarball' && !version.tarball_url) {
+                errors.push(`Version '${number}': tarball needs tarball_url`);
+            }
+            if (version.git_branch && !version.git_repo_url) {
+                errors.push(`Version '${number}': git_branch needs git_repo_url`);
+            }
+            if (version.base_docker_image && version.source_type !== 'source_files') {
+                errors.push(`Version '${number}': base_docker_image only applies to source_files versions (set FROM in the Dockerfile of the repository or tarball instead)`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Find the Dockerfile among the source files of a version
+     * @param {object[]} [sourceFiles] - Source files ({ name, format, content })
+     * @returns {object|null} - The Dockerfile entry or null
+     */
+    static findDockerfile(sourceFiles = []) {
+        for (const name of DOCKERFILE_SOURCE_NAMES) {
+            const file = sourceFiles.find(entry => entry.name === name && entry.format !== 'BASE64' && typeof entry.content === 'string');
+            if (file) return file;
+        }
+        return null;
+    }
+
+    /**
+     * Express an online actor version in the keys of the spec's `versions` section
+     * @param {object} version - Version object from the API
+     * @returns {object} - { source_type, git_repo_url, git_branch, tarball_url, build_tag, base_docker_image } (unset keys omitted)
+     */
+    static versionToSpec(version) {
+        const sourceType = Object.keys(VERSION_SOURCE_TYPES).find(key => VERSION_SOURCE_TYPES[key] === version.sourceType);
+        const spec = { source_type: sourceType || String(version.sourceType || '').toLowerCase() };
+        if (version.gitRepoUrl) {
+            const [url, ...branch] = version.gitRepoUrl.split('#');
+            spec.git_repo_url = url;
+            if (branch.length > 0) spec.git_branch = branch.join('#');
+        }
+        if (version.tarballUrl) spec.tarball_url = version.tarballUrl;
+        if (version.buildTag) spec.build_tag = version.buildTag;
+        const dockerfile = Websy.findDockerfile(version.sourceFiles);
+        const baseImage = dockerfile?.content.match(DOCKERFILE_FROM_PATTERN)?.[2];
+        if (baseImage) spec.base_docker_image = baseImage;
+        return spec;
+    }
+
+    /**
+     * Work out which versions `update` creates, changes or (with prune) deletes
+     * Only keys set in the spec are compared; git_branch is compared whenever git_repo_url is set,
+     * and base_docker_image only when the online version's source files are known.
+     * @param {object} specVersions - Spec versions keyed by version number
+     * @param {object[]} onlineVersions - Version objects from the API
+     * @param {object} [options] - Plan options
+     * @param {boolean} [options.prune] - Delete online versions missing from the spec
+     * @returns {object[]} - Array of { versionNumber, action, diffs: [{ field, local, online }], online }
+     *   where action is 'create', 'update', 'unchanged' or 'delete'
+     */
+    static planVersions(specVersions = {}, onlineVersions = [], { prune = false } = {}) {
+        const plan = [];
+        for (const [versionNumber, local] of Object.entries(specVersions)) {
+            const online = onlineVersions.find(version => version.versionNumber === versionNumber);
+            if (!online) {
+                const diffs = Object.entries(local).map(([field, value]) => ({ field, local: value, online: undefined }));
+                plan.push({ versionNumber, action: 'create', diffs, online: null });
+                continue;
+            }
+
+            const onlineSpec = Websy.versionToSpec(online);
+            const fields = new Set(Object.keys(local));
+            if (local.git_repo_url) fields.add('git_branch');
+            if (!online.sourceFiles) fields.delete('base_docker_image');
+
+            const diffs = [...fields]
+                .filter(field => !Websy.valuesEqual(local[field], onlineSpec[field], field))
+                .map(field => ({ field, local: local[field], online: onlineSpec[field] }));
+            plan.push({ versionNumber, action: diffs.length > 0 ? 'update' : 'unchanged', diffs, online });
+        }
+
+        if (prune) {
+            for (const online of onlineVersions) {
+                if (!(online.versionNumber in specVersions)) {
+                    plan.push({ versionNumber: online.versionNumber, action: 'delete', diffs: [], online });
+                }
+            }
+        }
+        return plan;
+    }
+
+    /**
+     * Build the API body that applies a planned version change
+     * Only the changed fields are sent; for base_docker_image the version's Dockerfile is sent with a new FROM line.
+     * @param {object} entry - Entry of planVersions (action 'create' or 'update')
+     * @param {object} local - The version from the spec
+     * @returns {object} - Version object for POST/PUT acts/:id/versions
+     * @throws {ValidationError} - When base_docker_image is set but the version has no Dockerfile
+     */
+    static versionPayload(entry, local) {
+        const changed = new Set(entry.diffs.map(diff => diff.field));
+        const payload = { versionNumber: entry.versionNumber };
+        if (changed.has('source_type')) payload.sourceType = VERSION_SOURCE_TYPES[local.source_type];
+        if (changed.has('git_repo_url') || changed.has('git_branch')) {
+            payload.gitRepoUrl = local.git_branch ? `${local.git_repo_url}#${local.git_branch}` : local.git_repo_url;
+        }
+        if (changed.has('tarball_url')) payload.tarballUrl = local.tarball_url;
+        if (changed.has('build_tag')) payload.buildTag = local.build_tag;
+
+        if (changed.has('base_docker_image')) {
+            const sourceFiles = entry.online?.sourceFiles || [];
+            const dockerfile = Websy.findDockerfile(sourceFiles);
+            if (!dockerfile || !DOCKERFILE_FROM_PATTERN.test(dockerfile.content)) {
+                throw new ValidationError(`Version '${entry.versionNumber}': base_docker_image needs a Dockerfile with a FROM line in the version's source files (push the sources first, e.g. with "apify push")`);
+            }
+            payload.sourceFiles = sourceFiles.map(file => (file === dockerfile
+                ? { ...file, content: file.content.replace(DOCKERFILE_FROM_PATTERN, (match, prefix) => `${prefix}${local.base_docker_image}`) }
+                : file));
+        }
+        return payload;
+    }
+
+    /**
+     * Count the entries of a version plan by action
+     * @param {object[]} versionPlan - Result of planVersions
+     * @returns {object} - Counts { create, update, delete, unchanged }
+     */
+    static countVersionPlan(versionPlan = []) {
+        const counts = { create: 0, update: 0, delete: 0, unchanged: 0 };
+        for (const entry of versionPlan) counts[entry.action]++;
+        return counts;
+    }
+
+    /**
+     * Print a version plan produced by planVersions
+     * @param {object[]} versionPlan - Result of planVersions
+     * @param {object} [logger] - Logger to print with
+     * @returns {object} - Counts { create, update, delete, unchanged }
+     */
+    static printVersionPlan(versionPlan, logger = Logger.console()) {
+        logger.info('\nVersions:');
+        for (const entry of versionPlan) {
+            if (entry.action === 'create') {
+                logger.info(`  + ${entry.versionNumber} (new)`);
+                entry.diffs.forEach(diff => logger.info(`      ${diff.field}: ${JSON.stringify(diff.local)}`));
+            } else if (entry.action === 'update') {
+                logger.info(`  ~ ${entry.versionNumber}`);
+                entry.diffs.forEach(diff => logger.info(`      ${diff.field}: ${JSON.stringify(diff.online) ?? '(unset)'} → ${JSON.stringify(diff.local) ?? '(unset)'}`));
+            } else if (entry.action === 'delete') {
+                logger.info(`  - ${entry.versionNumber} (not in spec, will be deleted)`);
+            } else {
+                logger.info(`    ${entry.versionNumber} (unchanged)`);
+            }
+        }
+        const counts = Websy.countVersionPlan(versionPlan);
+        logger.info(`\nVersions: ${counts.create} to create, ${counts.update} to update, ${counts.delete} to delete, ${counts.unchanged} unchanged.`);
+        return counts;
+    }
+
+    /**
+     * List each version of an actor with its newest build and the build tags pointing at it
+     * @param {object} actorData - The actor data from API (versions, taggedBuilds)
+     * @param {object[]|null} builds - Builds of the actor, newest first (null when unavailable)
+     * @returns {object[]} - Array of { versionNumber, ...versionToSpec, latestBuild, tags }
+     */
+    static summarizeVersions(actorData, builds) {
+        const versionOf = buildNumber => String(buildNumber || '').split('.').slice(0, 2).join('.');
+        return (actorData.versions || []).map(version => {
+            const latest = (builds || []).find(build => versionOf(build.buildNumber) === version.versionNumber);
+            const tags = Object.entries(actorData.taggedBuilds || {})
+                .filter(([, tagged]) => tagged && versionOf(tagged.buildNumber) === version.versionNumber)
+                .map(([tag]) => tag);
+            return {
+                versionNumber: version.versionNumber,
+                ...Websy.versionToSpec(version),
+                latestBuild: latest
+                    ? { id: latest.id, buildNumber: latest.buildNumber, status: latest.status, finishedAt: latest.finishedAt || null }
+                    : null,
+                tags
+            };
+        });
+    }
+
+    /**
+     * Work out what `pull` should write into the spec
+     * Only keys the spec declares are pulled; object fields (defaultRunOptions) key by key.
+     * A value counts as edited locally when it differs from the last synced value
+     * (or, without sync state, when it is non-empty and differs from online).
+     * @param {object} localDetails - actor_details from the effective spec
+     * @param {object} onlineDetails - actor_details picked from the API
+     * @param {object|null} baseDetails - Last synced actor_details
+     * @returns {object[]} - Array of { field, path, local, online, conflict } where path is e.g. ['defaultRunOptions', 'memoryMbytes']
+     */
+    static planPull(localDetails = {}, onlineDetails = {}, baseDetails = null) {
+        const changes = [];
+        const compare = (path, local, online, base) => {
+            if (Websy.valuesEqual(local, online, path[0])) return;
+            const isEmpty = local === undefined || local === null || local === '';
+            const editedLocally = baseDetails
+                ? !isEmpty && !Websy.valuesEqual(local, base, path[0])
+                : !isEmpty;
+            changes.push({ field: path.join('.'), path, local, online, conflict: editedLocally });
+        };
+
+        for (const field of ACTOR_DETAIL_FIELDS) {
+            if (!(field in onlineDetails) || !(field in localDetails)) continue;
+            const local = localDetails[field];
+            const online = onlineDetails[field];
+            if (Websy.isPlainObject(local) && Websy.isPlainObject(online)) {
+                for (const key of Object.keys(local)) {
+                    if (key in online) compare([field, key], local[key], online[key], baseDetails?.[field]?.[key]);
+                }
+            } else {
+                compare([field], local, online, baseDetails?.[field]);
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Find the file and section whose value wins for a key of the effective spec
+     * Layers are applied like resolveSpec: extended files, then the spec itself, then the
+     * `environments[env]` overlays of the same files.
+     * @param {string} specPath - Path to the spec file
+     * @param {string} [env] - Name of the environment overlay
+     * @param {string[]} path - Path inside the effective spec, e.g. ['actor_details', 'title']
+     * @returns {object|null} - { file, path } with the path inside that file, or null when no file sets it
+     */
+    static locateSpecValue(specPath, env, path) {
+        const layers = [];
+        const overlays = [];
+        const collect = (file, chain) => {
+            const fullPath = resolve(file);
+            if (chain.includes(fullPath)) return;
+            const spec = yaml.load(fs.readFileSync(fullPath, 'utf8')) || {};
+            for (const parent of [].concat(spec.extends || [])) {
+                collect(resolve(dirname(fullPath), parent), [...chain, fullPath]);
+            }
+            layers.push({ file: fullPath, prefix: [], data: spec });
+            if (env) overlays.push({ file: fullPath, prefix: ['environments', env], data: spec.environments?.[env] });
+        };
+        collect(specPath, []);
+
+        for (const layer of [...layers, ...overlays].reverse()) {
+            const value = path.reduce((node, key) => (Websy.isPlainObject(node) ? node[key] : undefined), layer.data);
+            if (value !== undefined) return { file: layer.file, path: [...layer.prefix, ...path] };
+        }
+        return null;
+    }
+
+    /**
+     * Set values in a parsed YAML document, keeping comments and key order.
+     * Plain objects are merged key by key so comments on nested keys survive.
+     * @param {Document} doc - Document from yaml.parseDocument
+     * @param {string[]} path - Path to set
+     * @param {*} value - Value to set
+     */
+    static setInDocument(doc, path, value) {
+        const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+        const node = doc.getIn(path, true);
+        if (isPlainObject && isMap(node)) {
+            for (const pair of [...node.items]) {
+                const key = pair.key?.value ?? pair.key;
+                if (!(key in value)) node.delete(key);
+            }
+            for (const [key, nested] of Object.entries(value)) {
+                Websy.setInDocument(doc, [...path, key], nested);
+            }
+            return;
+        }
+        doc.setIn(path, value);
+    }
+
+    /**
+     * Ask a yes/no question on the terminal
+     * @param {string} question - The question to ask
+     * @returns {Promise<boolean>} - True if the user answered yes
+     * @throws {WebsyError} - When stdin is not a TTY, so nobody can answer (callers offer --yes instead)
+     */
+    static async confirm(question) {
+        if (!process.stdin.isTTY) {
+            throw new WebsyError(`Can't ask "${question.trim()}": stdin is not a TTY, pass --yes to confirm.`);
+        }
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        try {
+            const answer = await rl.question(`${question} [y/N] `);
+            return /^y(es)?$/i.test(answer.trim());
+        } finally {
+            rl.close();
+        }
+    }
+
     /**
      * Check if actor has an icon set
      * @param {object} actorData - The actor data from API
@@ -137,13 +815,28 @@ class Websy {
         return false;
     }
 
+    /**
+     * Check for a non-null, non-array object
+     * @param {*} value - Value to check
+     * @returns {boolean} - True for plain objects
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
     /**
      * Compare local spec with online actor data and return diffs
+     * Every key of actor_details is compared against the same key of the actor object.
+     * Object fields (defaultRunOptions) only compare the keys the spec sets; their `local` value is the
+     * online object with those keys applied, so sending it keeps the keys the spec leaves out.
      * @param {object} localSpec - The local websy-spec.yml data
      * @param {object} onlineData - The online actor data from API
-     * @returns {object[]} - Array of diff objects { field, local, online }
+     * @param {object} [options] - Comparison options
+     * @param {boolean} [options.includeUnchanged] - Also return fields that are identical
+     * @returns {object[]} - Array of diff objects { field, local, online, action, keys? } where action is 'add', 'change'
+     *   or 'unchanged' and keys lists the changed keys of object fields ({ key, local, online })
      */
-    static compareSpecWithOnline(localSpec, onlineData) {
+    static compareSpecWithOnline(localSpec, onlineData, { includeUnchanged = false } = {}) {
         const diffs = [];
         
         if (!localSpec || !localSpec.actor_details) {
@@ -151,65 +844,73 @@ class Websy {
         }
 
         const local = localSpec.actor_details;
-        const online = onlineData;
-
-        // Fields to compare
-        const fieldMappings = [
-            { specKey: 'title', apiKey: 'title' },
-            { specKey: 'description', apiKey: 'description' },
-            { specKey: 'seoTitle', apiKey: 'seoTitle' },
-            { specKey: 'seoDescription', apiKey: 'seoDescription' },
-            { specKey: 'isPublic', apiKey: 'isPublic' },
-            { specKey: 'isDeprecated', apiKey: 'isDeprecated' },
-            { specKey: 'notice', apiKey: 'notice' },
-        ];
-
-        for (const mapping of fieldMappings) {
-            if (local[mapping.specKey] !== undefined) {
-                const localVal = local[mapping.specKey];
-                const onlineVal = online[mapping.apiKey];
-                
-                if (localVal !== onlineVal) {
-                    diffs.push({
-                        field: mapping.specKey,
-                        local: localVal,
-                        online: onlineVal
-                    });
+        const online = onlineData || {};
+
+        for (const [field, localVal] of Object.entries(local)) {
+            if (localVal === undefined || LOCAL_ONLY_DETAIL_FIELDS.includes(field)) continue;
+            const onlineVal = online[field];
+
+            if (Websy.isPlainObject(localVal) && Websy.isPlainObject(onlineVal)) {
+                const keys = Object.entries(localVal)
+                    .filter(([key, value]) => !Websy.valuesEqual(value, onlineVal[key]))
+                    .map(([key, value]) => ({ key, local: value, online: onlineVal[key] }));
+                if (keys.length > 0 || includeUnchanged) {
+                    diffs.push({ field, local: { ...onlineVal, ...localVal }, online: onlineVal, action: keys.length > 0 ? 'change' : 'unchanged', keys });
                 }
+                continue;
             }
-        }
 
-        // Compare categories (array comparison)
-        if (local.categories !== undefined) {
-            const localCats = (local.categories || []).sort();
-            const onlineCats = (online.categories || []).sort();
-            
-            if (JSON.stringify(localCats) !== JSON.stringify(onlineCats)) {
-                diffs.push({
-                    field: 'categories',
-                    local: localCats,
-                    online: onlineCats
-                });
+            let action = 'change';
+            if (Websy.valuesEqual(localVal, onlineVal, field)) {
+                action = 'unchanged';
+            } else if (onlineVal === undefined || onlineVal === null || onlineVal === '') {
+                action = 'add';
             }
-        }
 
-        // Compare defaultRunOptions
-        if (local.defaultRunOptions !== undefined) {
-            const localOpts = local.defaultRunOptions || {};
-            const onlineOpts = online.defaultRunOptions || {};
-            
-            if (JSON.stringify(localOpts) !== JSON.stringify(onlineOpts)) {
-                diffs.push({
-                    field: 'defaultRunOptions',
-                    local: localOpts,
-                    online: onlineOpts
-                });
+            if (action !== 'unchanged' || includeUnchanged) {
+                diffs.push({ field, local: localVal, online: onlineVal, action });
             }
         }
 
         return diffs;
     }
 
+    /**
+     * Count the entries of an update plan by action
+     * @param {object[]} plan - Diff objects including unchanged fields
+     * @returns {object} - Counts { add, change, unchanged }
+     */
+    static countPlan(plan) {
+        const counts = { add: 0, change: 0, unchanged: 0 };
+        for (const entry of plan) counts[entry.action]++;
+        return counts;
+    }
+
+    /**
+     * Print an update plan produced by compareSpecWithOnline
+     * @param {object[]} plan - Diff objects including unchanged fields
+     * @param {object} [logger] - Logger to print with
+     * @returns {object} - Counts { add, change, unchanged }
+     */
+    static printPlan(plan, logger = Logger.console()) {
+        for (const entry of plan) {
+            if (entry.action === 'add') {
+                logger.info(`  + ${entry.field}: ${JSON.stringify(entry.local)}`);
+            } else if (entry.action === 'change' && entry.keys) {
+                for (const { key, local, online } of entry.keys) {
+                    logger.info(`  ~ ${entry.field}.${key}: ${JSON.stringify(online) ?? '(unset)'} → ${JSON.stringify(local)}`);
+                }
+            } else if (entry.action === 'change') {
+                logger.info(`  ~ ${entry.field}: ${JSON.stringify(entry.online)} → ${JSON.stringify(entry.local)}`);
+            } else {
+                logger.info(`    ${entry.field} (unchanged)`);
+            }
+        }
+        const counts = Websy.countPlan(plan);
+        logger.info(`\nPlan: ${counts.add} to add, ${counts.change} to change, ${counts.unchanged} unchanged.`);
+        return counts;
+    }
+
     /**
      * Format duration in human readable form
      * @param {number} ms - Duration in milliseconds
@@ -239,26 +940,45 @@ class Websy {
         return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
     }
 
+    /**
+     * Update actor fields
+     * @param {string} actorId - The actor ID
+     * @param {object} updates - Fields to change
+     * @returns {Promise<object>} - The API response ({ data: actor })
+     * @throws {ApiError} - When the request fails
+     */
     async updateActor(actorId, updates) {
         try {
             const response = await this.client.put(`acts/${actorId}`, {
                 json: updates
             });
 
-            console.log(`Actor ${actorId} updated successfully!`);
+            this.logger.info(`Actor ${actorId} updated successfully!`);
             return response.body;
         } catch (error) {
-            console.error('Error updating actor:', error.response?.body || error.message);
-            throw error;
+            throw ApiError.from(error, `update actor ${actorId}`);
         }
     }
 
-    async updateActorIcon(actorId, iconPath) {
+    /**
+     * Upload an icon file as the actor picture
+     * @param {string} actorId - The actor ID
+     * @param {string} iconPath - Path to the image
+     * @param {string} [iconHash] - Content hash of the image, stored in customData for later comparison
+     * @param {object} [customData] - The actor's current customData (fetched when omitted), kept next to the icon
+     * @returns {Promise<object>} - The API response ({ data: actor })
+     * @throws {ValidationError|ApiError} - When the file is missing or the request fails
+     */
+    async updateActorIcon(actorId, iconPath, iconHash, customData) {
         if (!fs.existsSync(iconPath)) {
-            console.error(`Icon file not found: ${iconPath}`);
-            return null;
+            throw new ValidationError(`Icon file not found: ${iconPath}`, [`Icon file not found: ${iconPath}`]);
         }
 
+        // The API replaces customData as a whole, so the other keys are sent along
+        const currentCustomData = customData === undefined
+            ? (await this.getActor(actorId)).data?.customData
+            : customData;
+
         try {
             // Convert image to base64
             const imageBuffer = fs.readFileSync(iconPath);
@@ -268,26 +988,32 @@ class Websy {
             const response = await this.client.put(`acts/${actorId}`, {
                 json: {
                     customData: {
-                        icon: base64Image
+                        ...(currentCustomData || {}),
+                        icon: base64Image,
+                        ...(iconHash ? { [ICON_HASH_KEY]: iconHash } : {})
                     }
                 }
             });
 
-            console.log(`Actor ${actorId} icon updated successfully!`);
+            this.logger.info(`Actor ${actorId} icon updated successfully!`);
             return response.body;
         } catch (error) {
-            console.error('Error updating actor icon:', error.response?.body || error.message);
-            throw error;
+            throw ApiError.from(error, `update the icon of actor ${actorId}`);
         }
     }
 
+    /**
+     * Get an actor
+     * @param {string} actorId - The actor ID (or username~name)
+     * @returns {Promise<object>} - The API response ({ data: actor })
+     * @throws {ApiError} - When the request fails (statusCode 404 when the actor doesn't exist)
+     */
     async getActor(actorId) {
         try {
             const response = await this.client.get(`acts/${actorId}`);
             return response.body;
         } catch (error) {
-            console.error('Error getting actor details:', error.response?.body || error.message);
-            throw error;
+            throw ApiError.from(error, `get actor ${actorId}`);
         }
     }
 
@@ -299,12 +1025,11 @@ class Websy {
     async getActorStats(actorId) {
         try {
             // Try to get stats from the store API which has more detailed metrics
-            const response = await got.get(`https://api.apify.com/v2/acts/${actorId}?token=${this.apiToken}`, {
-                responseType: 'json'
-            });
+            const response = await this.client.get(`acts/${actorId}`);
             return response.body?.data?.stats || null;
         } catch (error) {
             // Stats might not be available for all actors
+            this.logger.debug(`No stats for ${actorId}: ${error.message}`);
             return null;
         }
     }
@@ -327,12 +1052,11 @@ class Websy {
             }
 
             // Try the store endpoint for public actor data
-            const response = await got.get(`https://api.apify.com/v2/store/${username}/${actorName}`, {
-                responseType: 'json'
-            });
+            const response = await this.client.get(`store/${username}/${actorName}`);
             return response.body?.data || null;
         } catch (error) {
             // Public metrics might not be available
+            this.logger.debug(`No public metrics for ${actorId}: ${error.message}`);
             return null;
         }
     }
@@ -345,380 +1069,1369 @@ class Websy {
     async getActorIssuesMetrics(actorId) {
         try {
             const cleanActorId = actorId.includes('~') ? actorId.split('~')[1] : actorId;
-            const response = await got.get(`https://console-backend.apify.com/actors/${cleanActorId}/issues/metrics`, {
-                responseType: 'json',
-                headers: {
-                    'Authorization': `Bearer ${this.apiToken}`
-                }
-            });
+            const response = await this.consoleClient.get(`actors/${cleanActorId}/issues/metrics`);
             return response.body || null;
         } catch (error) {
+            this.logger.debug(`No issues metrics for ${actorId}: ${error.message}`);
             return null;
         }
     }
 
+    /**
+     * List the actors of the account
+     * @param {number} [offset] - Pagination offset
+     * @param {number} [limit] - Page size
+     * @returns {Promise<object>} - The API response ({ data: { items, total, ... } })
+     * @throws {ApiError} - When the request fails
+     */
     async listActors(offset = 0, limit = 20) {
         try {
             const response = await this.client.get(`acts?offset=${offset}&limit=${limit}`);
             return response.body;
         } catch (error) {
-            console.error('Error listing actors:', error.response?.body || error.message);
-            throw error;
+            throw ApiError.from(error, 'list actors');
         }
     }
 
-    async buildFromSource(actorId, tarballUrl) {
+    /**
+     * List the versions of an actor
+     * @param {string} actorId - The actor ID
+     * @returns {Promise<object[]>} - Version objects
+     * @throws {ApiError} - When the request fails
+     */
+    async listVersions(actorId) {
         try {
-            const response = await this.client.post(`acts/${actorId}/builds`, {
-                json: {
-                    tarballUrl,
-                    useCache: true
-                }
+            const response = await this.client.get(`acts/${actorId}/versions`);
+            return response.body.data.items;
+        } catch (error) {
+            throw ApiError.from(error, `list the versions of actor ${actorId}`);
+        }
+    }
+
+    /**
+     * Get one version of an actor, including its source files
+     * @param {string} actorId - The actor ID
+     * @param {string} versionNumber - Version number (e.g. '0.1')
+     * @returns {Promise<object>} - Version object
+     * @throws {ApiError} - When the request fails
+     */
+    async getVersion(actorId, versionNumber) {
+        try {
+            const response = await this.client.get(`acts/${actorId}/versions/${versionNumber}`);
+            return response.body.data;
+        } catch (error) {
+            throw ApiError.from(error, `get version ${versionNumber} of actor ${actorId}`);
+        }
+    }
+
+    /**
+     * Create an actor version
+     * @param {string} actorId - The actor ID
+     * @param {object} version - Version object (versionNumber, sourceType, gitRepoUrl, tarballUrl, buildTag, ...)
+     * @returns {Promise<object>} - The API response ({ data: version })
+     * @throws {ApiError} - When the request fails
+     */
+    async createVersion(actorId, version) {
+        try {
+            const response = await this.client.post(`acts/${actorId}/versions`, { json: version });
+            this.logger.info(`Version ${version.versionNumber} of actor ${actorId} has been created`);
+            return response.body;
+        } catch (error) {
+            throw ApiError.from(error, `create version ${version.versionNumber} of actor ${actorId}`);
+        }
+    }
+
+    /**
+     * Update an actor version
+     * @param {string} actorId - The actor ID
+     * @param {string} versionNumber - Version number
+     * @param {object} changes - Version fields to set
+     * @returns {Promise<object>} - The API response ({ data: version })
+     * @throws {ApiError} - When the request fails
+     */
+    async updateVersion(actorId, versionNumber, changes) {
+        try {
+            const response = await this.client.put(`acts/${actorId}/versions/${versionNumber}`, { json: changes });
+            this.logger.info(`Version ${versionNumber} of actor ${actorId} has been updated`);
+            return response.body;
+        } catch (error) {
+            throw ApiError.from(error, `update version ${versionNumber} of actor ${actorId}`);
+        }
+    }
+
+    /**
+     * Delete an actor version
+     * @param {string} actorId - The actor ID
+     * @param {string} versionNumber - Version number
+     * @throws {ApiError} - When the request fails
+     */
+    async deleteVersion(actorId, versionNumber) {
+        try {
+            await this.client.delete(`acts/${actorId}/versions/${versionNumber}`);
+            this.logger.info(`Version ${versionNumber} of actor ${actorId} has been deleted`);
+        } catch (error) {
+            throw ApiError.from(error, `delete version ${versionNumber} of actor ${actorId}`);
+        }
+    }
+
+    /**
+     * List the builds of an actor, newest first
+     * @param {string} actorId - The actor ID
+     * @param {number} [limit] - Maximum number of builds
+     * @returns {Promise<object[]>} - Build objects ({ id, buildNumber, status, startedAt, finishedAt, ... })
+     * @throws {ApiError} - When the request fails
+     */
+    async listBuilds(actorId, limit = 100) {
+        try {
+            const response = await this.client.get(`acts/${actorId}/builds`, { searchParams: { desc: 1, limit } });
+            return response.body.data.items;
+        } catch (error) {
+            throw ApiError.from(error, `list the builds of actor ${actorId}`);
+        }
+    }
+
+    /**
+     * Start a build of an actor version
+     * @param {string} actorId - The actor ID
+     * @param {object} [options] - Build options
+     * @param {string} [options.version] - Version number to build (default '0.1')
+     * @param {boolean} [options.useCache] - Use the Docker layer cache (default true)
+     * @param {string} [options.tag] - Build tag to apply when the build succeeds
+     * @returns {object} - The API response ({ data: build })
+     */
+    async buildActor(actorId, { version = '0.1', useCache = true, tag } = {}) {
+        try {
+            const searchParams = { version, useCache };
+            if (tag) searchParams.tag = tag;
+            const response = await this.client.post(`acts/${actorId}/builds`, { searchParams });
+            this.logger.info(`Build for actor ${actorId} has been started`);
+            return response.body;
+        } catch (error) {
+            throw ApiError.from(error, `start a build of actor ${actorId}`);
+        }
+    }
+
+    /**
+     * Point an actor version at a tarball and build it
+     * The version keeps pointing at the tarball afterwards (sourceType TARBALL).
+     * @param {string} actorId - The actor ID
+     * @param {string} tarballUrl - URL of the source tarball
+     * @param {object} [options] - Same options as buildActor
+     * @returns {object} - The API response ({ data: build })
+     */
+    async buildFromSource(actorId, tarballUrl, options = {}) {
+        const version = options.version || '0.1';
+        try {
+            await this.client.put(`acts/${actorId}/versions/${version}`, {
+                json: { sourceType: 'TARBALL', tarballUrl }
             });
-            console.log(`Build for actor ${actorId} has been started`);
+        } catch (error) {
+            throw ApiError.from(error, `update the source of version ${version}`);
+        }
+        return this.buildActor(actorId, { ...options, version });
+    }
+
+    /**
+     * Get a build
+     * @param {string} buildId - The build ID
+     * @returns {Promise<object>} - The API response ({ data: build })
+     * @throws {ApiError} - When the request fails
+     */
+    async getBuild(buildId) {
+        try {
+            const response = await this.client.get(`actor-builds/${buildId}`);
             return response.body;
         } catch (error) {
-            console.error('Error starting build:', error.response?.body || error.message);
-            throw error;
+            throw ApiError.from(error, `get build ${buildId}`);
         }
     }
 
+    /**
+     * Move a build tag (e.g. 'latest', 'beta') to a build
+     * @param {string} actorId - The actor ID
+     * @param {string} tag - Build tag
+     * @param {string} buildId - The build ID
+     * @returns {object} - The API response
+     */
+    async tagBuild(actorId, tag, buildId) {
+        return this.updateActor(actorId, { taggedBuilds: { [tag]: { buildId } } });
+    }
+
+    /**
+     * Start an actor run
+     * @param {string} actorId - The actor ID
+     * @param {object} input - Run input (sent as the request body)
+     * @param {object} options - Run options sent as query parameters (build, memory, timeout, maxItems, ...)
+     * @returns {object} - The API response ({ data: run })
+     */
     async runActor(actorId, input = {}, options = {}) {
         try {
+            const searchParams = Object.fromEntries(
+                Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+            );
             const response = await this.client.post(`acts/${actorId}/runs`, {
-                json: {
-                    ...options,
-                    input
+                json: input,
+                searchParams
+            });
+            this.logger.info(`Actor ${actorId} run has been started`);
+            return response.body;
+        } catch (error) {
+            throw ApiError.from(error, `run actor ${actorId}`);
+        }
+    }
+
+    /**
+     * Get a run
+     * @param {string} runId - The run ID
+     * @returns {Promise<object>} - The API response ({ data: run })
+     * @throws {ApiError} - When the request fails
+     */
+    async getRun(runId) {
+        try {
+            const response = await this.client.get(`actor-runs/${runId}`);
+            return response.body;
+        } catch (error) {
+            throw ApiError.from(error, `get run ${runId}`);
+        }
+    }
+
+    /**
+     * Get the log of a run or build
+     * @param {string} runOrBuildId - Run or build ID
+     * @returns {Promise<string>} - Log text ('' while it doesn't exist yet)
+     * @throws {ApiError} - When the request fails for any other reason than a missing log
+     */
+    async getLog(runOrBuildId) {
+        try {
+            const response = await this.client.get(`logs/${runOrBuildId}`, { responseType: 'text' });
+            return response.body;
+        } catch (error) {
+            // The log is only created once the run or build starts
+            if (error.response?.statusCode === 404) return '';
+            throw ApiError.from(error, `get the log of ${runOrBuildId}`);
+        }
+    }
+
+    /**
+     * Follow the log of a run or build through the streaming log endpoint
+     * The API keeps the stream open while the job runs. When it closes early (or the log
+     * doesn't exist yet) it is reopened after pollIntervalMs and the part already passed
+     * to onLog is skipped, until a stream opened after the job finished has been read.
+     * @param {string} logId - Run or build ID
+     * @param {Function} onLog - Called with each new chunk of the log
+     * @param {object} options - Follow options
+     * @param {Function} options.isFinished - () => true once the job reached a terminal status
+     * @param {number} [options.pollIntervalMs] - Delay before reopening the stream (default 2000)
+     * @param {AbortSignal} [options.signal] - Stops following
+     * @returns {Promise<void>}
+     * @throws {ApiError} - When the log can't be read (anything but 404)
+     */
+    async followLog(logId, onLog, { isFinished, pollIntervalMs = 2000, signal } = {}) {
+        let offset = 0;
+        for (;;) {
+            const finishedBefore = isFinished();
+            let received = 0;
+            // Only an open stream is aborted; got errors out streams that already ended otherwise
+            const streamAbort = new AbortController();
+            const stop = () => streamAbort.abort();
+            signal?.addEventListener('abort', stop);
+            try {
+                const stream = this.client.stream(`logs/${logId}`, {
+                    searchParams: { stream: 1 },
+                    timeout: { request: undefined },
+                    retry: { limit: 0 },
+                    signal: streamAbort.signal
+                });
+                stream.setEncoding('utf8');
+                for await (const chunk of stream) {
+                    const start = Math.max(0, offset - received);
+                    received += chunk.length;
+                    if (start < chunk.length) {
+                        onLog(chunk.slice(start));
+                        offset = received;
+                    }
+                }
+            } catch (error) {
+                if (signal?.aborted) return;
+                if (error.response?.statusCode !== 404) throw ApiError.from(error, `stream the log of ${logId}`);
+            } finally {
+                signal?.removeEventListener('abort', stop);
+            }
+            if (finishedBefore || signal?.aborted) return;
+            await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        }
+    }
+
+    /**
+     * Poll a run or build until it reaches a terminal status
+     * @param {Function} fetchJob - async () => API response ({ data: run|build })
+     * @param {string} logId - ID used to fetch the log
+     * @param {object} [options] - Polling options
+     * @param {number} [options.pollIntervalMs] - Delay between polls (default 2000)
+     * @param {Function} [options.onLog] - Called with each new chunk of the log (streamed, see followLog)
+     * @param {Function} [options.onStatus] - Called when the status changes
+     * @returns {Promise<object>} - The finished run or build object
+     * @throws {ApiError} - When the job or its log can't be read
+     */
+    async waitForJob(fetchJob, logId, { pollIntervalMs = 2000, onLog = null, onStatus = null } = {}) {
+        let lastStatus = null;
+        let finished = false;
+        let logError = null;
+        const abort = new AbortController();
+        const following = onLog
+            ? this.followLog(logId, onLog, { isFinished: () => finished, pollIntervalMs, signal: abort.signal })
+                .catch(error => { logError = error; })
+            : null;
+
+        try {
+            for (;;) {
+                if (logError) throw logError;
+                const job = (await fetchJob()).data;
+
+                if (job.status !== lastStatus) {
+                    lastStatus = job.status;
+                    if (onStatus) onStatus(job.status, job);
+                }
+
+                if (TERMINAL_RUN_STATUSES.includes(job.status)) {
+                    finished = true;
+                    await following;
+                    if (logError) throw logError;
+                    return job;
                 }
+                await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+            }
+        } finally {
+            abort.abort();
+        }
+    }
+
+    async waitForRun(runId, options = {}) {
+        return this.waitForJob(() => this.getRun(runId), runId, options);
+    }
+
+    async waitForBuild(buildId, options = {}) {
+        return this.waitForJob(() => this.getBuild(buildId), buildId, options);
+    }
+
+    /**
+     * Pick the interesting part of a log: around the last error, or the tail
+     * @param {string} log - Full log text
+     * @param {number} [lines] - Number of lines to show (default 30)
+     * @returns {string} - Log excerpt
+     */
+    static logExcerpt(log, lines = 30) {
+        const allLines = log.replace(/\n$/, '').split('\n');
+        let errorLine = -1;
+        for (let i = allLines.length - 1; i >= 0; i--) {
+            if (/error|failed/i.test(allLines[i])) {
+                errorLine = i;
+                break;
+            }
+        }
+        if (errorLine === -1) return allLines.slice(-lines).join('\n');
+
+        const start = Math.max(0, errorLine - Math.floor(lines * 2 / 3));
+        return allLines.slice(start, start + lines).join('\n');
+    }
+
+    /**
+     * Download dataset items in the given format
+     * @param {string} datasetId - The dataset ID
+     * @param {string} [format] - json, jsonl or csv
+     * @returns {Promise<string>} - Raw response body
+     */
+    async downloadDatasetItems(datasetId, format = 'json') {
+        try {
+            const response = await this.client.get(`datasets/${datasetId}/items`, {
+                searchParams: { format, clean: true },
+                responseType: 'text'
             });
-            console.log(`Actor ${actorId} run has been started`);
             return response.body;
         } catch (error) {
-            console.error('Error running actor:', error.response?.body || error.message);
-            throw error;
+            throw ApiError.from(error, `download the items of dataset ${datasetId}`);
         }
     }
 
+    /**
+     * Get the items of a run's default dataset
+     * @param {string} runId - The run ID
+     * @returns {Promise<object[]>} - Dataset items
+     * @throws {ApiError} - When the request fails
+     */
     async getRunData(runId) {
         try {
-            const response = await this.client.get(`runs/${runId}/dataset/items`);
+            const response = await this.client.get(`actor-runs/${runId}/dataset/items`);
             return response.body;
         } catch (error) {
-            console.error('Error getting run data:', error.response?.body || error.message);
-            throw error;
+            throw ApiError.from(error, `get the dataset items of run ${runId}`);
         }
     }
 
+    /**
+     * Delete an actor
+     * @param {string} actorId - The actor ID
+     * @returns {Promise<object>} - The API response
+     * @throws {ApiError} - When the request fails
+     */
     async deleteActor(actorId) {
         try {
             const response = await this.client.delete(`acts/${actorId}`);
-            console.log(`Actor ${actorId} deleted successfully`);
+            this.logger.info(`Actor ${actorId} deleted successfully`);
             return response.body;
         } catch (error) {
-            console.error('Error deleting actor:', error.response?.body || error.message);
-            throw error;
+            throw ApiError.from(error, `delete actor ${actorId}`);
         }
     }
 
+    /**
+     * Get the quality score of an actor from the Console backend
+     * @param {string} actorId - The actor ID
+     * @returns {Promise<object|null>} - { actorQuality, actorQualityPercentile } or null when unavailable
+     */
     async getActorQuality(actorId) {
         try {
             // Extract just the actor ID without the username prefix
             const cleanActorId = actorId.includes('~') ? actorId.split('~')[1] : actorId;
-            const response = await got.get(`https://console-backend.apify.com/actor-quality/scores/${cleanActorId}`, {
-                responseType: 'json'
-            });
+            const response = await this.consoleClient.get(`actor-quality/scores/${cleanActorId}`);
             return response.body;
         } catch (error) {
-            console.error('Error getting actor quality:', error.response?.body || error.message);
+            this.logger.warn(ApiError.from(error, `get the quality score of ${actorId}`).message);
             return null;
         }
     }
 
+    /**
+     * Get praises and suggested improvements from the Console backend
+     * @param {string} actorId - The actor ID
+     * @returns {Promise<object|null>} - { praises, improvements } or null when unavailable
+     */
     async getActorRecommendations(actorId) {
         try {
             // Extract just the actor ID without the username prefix
             const cleanActorId = actorId.includes('~') ? actorId.split('~')[1] : actorId;
-            const response = await got.get(`https://console-backend.apify.com/actor-quality/praises-and-improvements/${cleanActorId}`, {
-                responseType: 'json'
-            });
+            const response = await this.consoleClient.get(`actor-quality/praises-and-improvements/${cleanActorId}`);
             return response.body;
         } catch (error) {
-            console.error('Error getting actor recommendations:', error.response?.body || error.message);
+            this.logger.warn(ApiError.from(error, `get the recommendations for ${actorId}`).message);
             return null;
         }
     }
 
-    async updateRunOptions(actorId, runOptions) {
-        return this.updateActor(actorId, { defaultRunOptions: runOptions });
-    }
-}
-
-
-// Simple CLI interface using commander
-function main() {
-    const program = new Command();
+    /**
+     * Compare a spec's actor_details (and icon) and versions with the online actor
+     * @param {string} actorId - The actor ID
+     * @param {object} spec - The effective spec (see loadSpec)
+     * @param {string} specPath - Path of the spec; icon paths and the sync state are relative to it
+     * @param {object} [options] - Plan options
+     * @param {boolean} [options.pruneVersions] - Also plan deleting online versions that aren't in the spec
+     * @returns {Promise<object>} - { actorId, actor, plan, counts, iconStatus, changes, versionPlan, versionCounts }
+     * @throws {SpecError|ValidationError|ApiError} - When actor_details are missing or invalid, or the actor can't be read
+     */
+    async planUpdate(actorId, spec, specPath, { pruneVersions = false } = {}) {
+        const updates = spec?.actor_details || {};
+        const versions = spec?.versions;
+        if (typeof updates !== 'object' || (!spec?.actor_details && !versions)) {
+            throw new SpecError('Spec must contain `actor_details` or `versions` as a mapping.', { path: specPath });
+        }
+        if (pruneVersions && !versions) {
+            throw new SpecError('Pruning versions needs a `versions` section in the spec.', { path: specPath });
+        }
 
-    program
-        .name('websy')
-        .description('CLI to manage Apify actors')
-        .version('1.0.0');
+        const errors = [...Websy.validateVersions(versions)];
+        if (updates.categories) {
+            const validation = Websy.validateCategories(updates.categories);
+            if (!validation.valid) errors.push(`Category validation error: ${validation.message}`);
+        }
+        if (updates.defaultRunOptions && typeof updates.defaultRunOptions !== 'object') {
+            errors.push('Run options must be an object');
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(errors.join('; '), errors);
+        }
 
-    program
-        .command('update')
-        .description('Update actor properties using a YAML spec file')
-        .option('-i, --id <actorId>', 'Actor ID')
-        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
-        .action(async (cmd) => {
-            const manager = new Websy();
-            const actorId = Websy.resolveActorId(cmd.id);
-            const yamlData = Websy.loadSpec(cmd.spec);
+        const actor = (await this.getActor(actorId)).data;
+        const plan = Websy.compareSpecWithOnline(spec, actor, { includeUnchanged: true });
 
-            const updates = yamlData?.actor_details;
-            if (!updates || typeof updates !== 'object') {
-                console.error('Spec must contain `actor_details` as a mapping.');
-                process.exit(1);
+        // The icon is uploaded separately, and only when its content changed
+        const iconStatus = Websy.getIconStatus(spec, specPath, actorId, actor);
+        if (iconStatus) {
+            const iconErrors = ActorIcon.validate(iconStatus.icon);
+            if (iconErrors.length > 0) {
+                throw new ValidationError(`Icon validation failed: ${iconErrors.join('; ')}`, iconErrors);
             }
+            plan.push({
+                field: 'icon',
+                local: `${updates.icon} (${ActorIcon.describe(iconStatus.icon)})`,
+                online: iconStatus.message,
+                action: iconStatus.status === 'match' ? 'unchanged' : (iconStatus.status === 'missing' ? 'add' : 'change')
+            });
+        }
 
-            if (updates.categories) {
-                const validation = Websy.validateCategories(updates.categories);
-                if (!validation.valid) {
-                    console.error('Category validation error:', validation.message);
-                    process.exit(1);
+        const changes = Object.fromEntries(
+            plan.filter(entry => entry.action !== 'unchanged' && entry.field !== 'icon').map(entry => [entry.field, entry.local])
+        );
+
+        let versionPlan = [];
+        if (versions) {
+            // Source files (for base_docker_image) are only fetched for the versions that need them
+            const onlineVersions = await this.listVersions(actorId);
+            for (const [index, online] of onlineVersions.entries()) {
+                if (versions[online.versionNumber]?.base_docker_image && !online.sourceFiles) {
+                    onlineVersions[index] = await this.getVersion(actorId, online.versionNumber);
+                }
+            }
+            versionPlan = Websy.planVersions(versions, onlineVersions, { prune: pruneVersions });
+            for (const entry of versionPlan) {
+                if (entry.action === 'create' || entry.action === 'update') {
+                    entry.payload = Websy.versionPayload(entry, versions[entry.versionNumber]);
                 }
             }
+        }
 
-            if (updates.defaultRunOptions && typeof updates.defaultRunOptions !== 'object') {
-                console.error('Run options must be an object');
-                process.exit(1);
+        return {
+            actorId, actor, plan, counts: Websy.countPlan(plan), iconStatus, changes,
+            versionPlan, versionCounts: Websy.countVersionPlan(versionPlan)
+        };
+    }
+
+    /**
+     * Apply a plan from planUpdate and record the synced state next to the spec
+     * @param {object} planned - Result of planUpdate
+     * @param {string} specPath - Path of the spec
+     * Versions are created and updated before any are deleted, so the actor never runs out of versions.
+     * @returns {Promise<object>} - { updatedFields: string[], iconUploaded: boolean, versions: [{ versionNumber, action }], actor }
+     * @throws {ValidationError|ApiError} - When an update fails
+     */
+    async applyUpdate(planned, specPath) {
+        let actor = planned.actor;
+        const updatedFields = Object.keys(planned.changes);
+        if (updatedFields.length > 0) {
+            const result = await this.updateActor(planned.actorId, planned.changes);
+            if (result?.data) {
+                actor = result.data;
+                Websy.saveSyncState(specPath, planned.actorId, Websy.pickActorDetails(result.data));
             }
+        }
 
-            await manager.updateActor(actorId, updates);
-        });
+        const iconStatus = planned.iconStatus;
+        const iconUploaded = Boolean(iconStatus && iconStatus.status !== 'match');
+        if (iconUploaded) {
+            const result = await this.updateActorIcon(planned.actorId, iconStatus.icon.path, iconStatus.icon.hash, actor.customData ?? null);
+            if (result?.data) actor = result.data;
+            Websy.updateSyncEntry(specPath, planned.actorId, {
+                iconHash: iconStatus.icon.hash,
+                pictureUrl: result?.data?.pictureUrl || null
+            });
+        }
 
-    program
-        .command('info')
-        .description('Get actor information')
-        .option('-i, --id <actorId>', 'Actor ID')
-        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
-        .option('-f, --format <format>', 'Output format (json, pretty)', 'pretty')
-        .option('--raw', 'Show raw stats object for debugging')
-        .action(async (cmd) => {
-            try {
-                const manager = new Websy();
-                const actorId = Websy.resolveActorId(cmd.id);
-                const actorInfo = await manager.getActor(actorId);
-                const actorData = actorInfo.data;
-                
-                // Try to load local spec for comparison
-                const localSpec = Websy.tryLoadSpec(cmd.spec);
-                
-                // Fetch quality and recommendations
-                const quality = await manager.getActorQuality(actorData.id);
-                const recommendations = await manager.getActorRecommendations(actorData.id);
-                
-                // Fetch public metrics (includes users, ratings, etc.)
-                const publicMetrics = await manager.getActorPublicMetrics(actorId);
-                
-                // Fetch issues metrics
-                const issuesMetrics = await manager.getActorIssuesMetrics(actorData.id);
-
-                if (cmd.raw) {
-                    console.log('=== Raw Stats Debug ===');
-                    console.log('\n--- actorData.stats ---');
-                    console.log(JSON.stringify(actorData.stats, null, 2));
-                    console.log('\n--- publicMetrics ---');
-                    console.log(JSON.stringify(publicMetrics, null, 2));
-                    console.log('\n--- issuesMetrics ---');
-                    console.log(JSON.stringify(issuesMetrics, null, 2));
-                    return;
-                }
+        const versions = [];
+        const versionPlan = planned.versionPlan || [];
+        for (const entry of versionPlan.filter(planEntry => planEntry.action === 'create' || planEntry.action === 'update')) {
+            if (entry.action === 'create') {
+                await this.createVersion(planned.actorId, entry.payload);
+            } else {
+                await this.updateVersion(planned.actorId, entry.versionNumber, entry.payload);
+            }
+            versions.push({ versionNumber: entry.versionNumber, action: entry.action });
+        }
+        for (const entry of versionPlan.filter(planEntry => planEntry.action === 'delete')) {
+            await this.deleteVersion(planned.actorId, entry.versionNumber);
+            versions.push({ versionNumber: entry.versionNumber, action: entry.action });
+        }
+        return { updatedFields, iconUploaded, versions, actor };
+    }
 
-                if (cmd.format === 'json') {
-                    const output = {
-                        actor: actorInfo,
-                        quality: quality,
-                        recommendations: recommendations,
-                        publicMetrics: publicMetrics,
-                        issuesMetrics: issuesMetrics,
-                        warnings: {
-                            hasIcon: Websy.hasIcon(actorData)
-                        }
-                    };
-                    if (localSpec) {
-                        output.diffs = Websy.compareSpecWithOnline(localSpec, actorData);
-                    }
-                    console.log(JSON.stringify(output, null, 2));
-                } else {
-                    console.log('=== Actor Information ===');
-                    console.log(`ID:          ${actorData.id}`);
-                    console.log(`Name:        ${actorData.name}`);
-                    console.log(`Title:       ${actorData.title}`);
-                    console.log(`Description: ${actorData.description || 'Not set'}`);
-                    console.log(`Version:     ${actorData.versions[0].versionNumber || 'Not available'}`);
+    /**
+     * Collect an actor with its versions, quality, recommendations, Store and issue metrics
+     * Only the actor itself is required; the other parts are null when unavailable
+     * (versions are listed without their latest builds when the builds can't be read).
+     * @param {string} actorId - The actor ID
+     * @returns {Promise<object>} - { actor, versions, quality, recommendations, publicMetrics, issuesMetrics }
+     * @throws {ApiError} - When the actor can't be read
+     */
+    async getActorInfo(actorId) {
+        const actor = (await this.getActor(actorId)).data;
+        let builds = null;
+        try {
+            builds = await this.listBuilds(actor.id);
+        } catch (error) {
+            this.logger.warn(error.message);
+        }
+        return {
+            actor,
+            versions: Websy.summarizeVersions(actor, builds),
+            quality: await this.getActorQuality(actor.id),
+            recommendations: await this.getActorRecommendations(actor.id),
+            publicMetrics: await this.getActorPublicMetrics(actorId),
+            issuesMetrics: await this.getActorIssuesMetrics(actor.id)
+        };
+    }
 
-                    console.log(`defRunOpts:  ${JSON.stringify(actorData.defaultRunOptions)}`);
-                    console.log(`Categories:  ${actorData.categories.join(', ') || 'None'}`);
+    async updateRunOptions(actorId, runOptions) {
+        return this.updateActor(actorId, { defaultRunOptions: runOptions });
+    }
+}
 
-                    console.log(`IsPublic:    ${actorData.isPublic}`);
 
-                    // Display maintenance status
-                    if (actorData.notice && actorData.notice !== 'NONE') {
-                        console.log(`\n⚠️  Maintenance: ${actorData.notice}`);
-                    }
+/**
+ * Resolve the actor ID for a command, failing when it can't be determined
+ * @param {Websy} manager - Client whose account owns actors derived from .actor/actor.json
+ * @param {object} opts - Command options ({ id, basePath })
+ * @returns {Promise<string>} - The actor ID
+ */
+async function requireActorId(manager, opts) {
+    const actorId = await manager.actorIdFor(opts.id, opts.basePath);
+    if (!actorId) {
+        throw new Error('Could not determine actor ID. Pass --id or generate .actor/actor.json first.');
+    }
+    return actorId;
+}
 
-                    // Icon status
-                    const hasIcon = Websy.hasIcon(actorData);
-                    if (hasIcon) {
-                        console.log(`✅ Icon: Set`);
-                    } else {
-                        console.log(`⚠️  Icon: Not set`);
-                    }
+/**
+ * Read an API token from the terminal, or from stdin when it's piped in
+ * @returns {Promise<string>} - The token ('' when none was entered)
+ */
+async function readToken() {
+    if (!process.stdin.isTTY) {
+        const chunks = [];
+        for await (const chunk of process.stdin) chunks.push(chunk);
+        return Buffer.concat(chunks).toString('utf8').trim();
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        return (await rl.question('Apify API token (https://console.apify.com/settings/integrations): ')).trim();
+    } finally {
+        rl.close();
+    }
+}
 
-                    // Actor Metrics Section
-                    console.log('\n=== Actor Metrics ===');
-                    
-                    // Stats from actor data
-                    const stats = actorData.stats || {};
-                    
-                    // Users metrics
-                    const totalUsers = stats.totalUsers ?? publicMetrics?.stats?.totalUsers ?? 'N/A';
-                    const monthlyUsers = stats.totalUsers30Days ?? publicMetrics?.stats?.totalUsers30Days ?? 'N/A';
-                    console.log(`Total Users:          ${totalUsers}`);
-                    console.log(`Monthly Active Users: ${monthlyUsers}`);
-                    
-                    // Star rating - check multiple possible locations
-                    const avgRating = stats.actorReviewRating ?? publicMetrics?.averageRating ?? publicMetrics?.stats?.averageRating ?? null;
-                    const totalRatings = stats.actorReviewCount ?? publicMetrics?.totalRatings ?? publicMetrics?.stats?.totalRatings ?? 0;
-                    if (avgRating !== null && totalRatings > 0) {
-                        console.log(`Star Rating:          ${avgRating.toFixed(1)} (${totalRatings})`);
-                    } else {
-                        console.log(`Star Rating:          No ratings yet`);
-                    }
-                    
-                    // Bookmarks - check multiple locations
-                    const bookmarks = stats.bookmarkCount ?? publicMetrics?.totalBookmarks ?? publicMetrics?.stats?.totalBookmarks ?? 'N/A';
-                    console.log(`Bookmarks:            ${bookmarks}`);
-                    
-                    // Run statistics - use 30-day stats for success rate
-                    const runStats30Days = stats.publicActorRunStats30Days || {};
-                    const succeeded30 = runStats30Days.SUCCEEDED ?? 0;
-                    const total30 = runStats30Days.TOTAL ?? 0;
-                    
-                    if (total30 > 0) {
-                        const successRate = ((succeeded30 / total30) * 100);
-                        const rateDisplay = successRate >= 99 ? '>99' : successRate.toFixed(0);
-                        console.log(`Runs Success Rate:    ${rateDisplay}% succeeded (${total30} runs in 30d)`);
-                    } else {
-                        const totalRuns = stats.totalRuns ?? 'N/A';
-                        console.log(`Total Runs:           ${totalRuns}`);
-                    }
-                    
-                    // Issue response time
-                    const issueResponseMs = issuesMetrics?.averageResponseTimeMs ?? publicMetrics?.averageIssueResponseTimeMs ?? publicMetrics?.stats?.averageIssueResponseTimeMs ?? null;
-                    if (issueResponseMs !== null) {
-                        console.log(`Issue Response Time:  ${Websy.formatDuration(issueResponseMs)}`);
-                    } else {
-                        console.log(`Issue Response Time:  N/A`);
-                    }
-                    
-                    // Created and Modified dates (exact month/year)
-                    const createdAt = new Date(actorData.createdAt);
-                    const modifiedAt = new Date(actorData.modifiedAt);
-                    console.log(`Created:              ${Websy.formatMonthYear(createdAt)}`);
-                    console.log(`Modified:             ${Websy.formatMonthYear(modifiedAt)}`);
-                    
-                    // Display quality information
-                    if (quality) {
-                        console.log('\n=== Actor Quality ===');
-                        console.log(`Quality Score:      ${(quality.actorQuality * 100).toFixed(2)}%`);
-                        console.log(`Quality Percentile: ${(quality.actorQualityPercentile * 100).toFixed(2)}%`);
-                    }
-                    
-                    // Display recommendations
-                    if (recommendations) {
-                        if (recommendations.praises && recommendations.praises.length > 0) {
-                            console.log('\n=== Praises ===');
-                            recommendations.praises.forEach((praise, index) => {
-                                console.log(`${index + 1}. ${praise.title} (Percentile: ${(praise.percentile * 100).toFixed(0)}%)`);
-                            });
-                        }
-                        
-                        if (recommendations.improvements && recommendations.improvements.length > 0) {
-                            console.log('\n=== Improvements ===');
-                            recommendations.improvements.forEach((improvement, index) => {
-                                console.log(`${index + 1}. ${improvement.title}`);
-                            });
-                        }
-                    }
+/**
+ * Lint the spec (and the files it extends) before using it, unless --no-lint was given
+ * @param {object} opts - Command options ({ spec, lint })
+ */
+function lintSpecOrThrow(opts) {
+    if (opts.lint === false) return;
+
+    const problems = new SpecLinter().lintFile(opts.spec);
+    if (problems.length > 0) {
+        console.error('Spec lint errors:');
+        problems.forEach(problem => console.error(`  ${SpecLinter.formatProblem(problem)}`));
+        throw new SpecError(`${problems.length} spec lint error(s) in ${opts.spec} (run "websy lint" for details, --no-lint to skip)`, { path: opts.spec, problems });
+    }
+}
 
-                    // Compare local spec with online data
-                    if (localSpec) {
-                        const diffs = Websy.compareSpecWithOnline(localSpec, actorData);
-                        if (diffs.length > 0) {
-                            console.log('\n=== Local vs Online Diffs ===');
-                            console.log('⚠️  The following fields differ between local spec and online:');
-                            for (const diff of diffs) {
-                                console.log(`\n  ${diff.field}:`);
-                                console.log(`    Local:  ${JSON.stringify(diff.local)}`);
-                                console.log(`    Online: ${JSON.stringify(diff.online)}`);
-                            }
-                            console.log('\n💡 Run "websy update" to sync local spec to online.');
-                        } else {
-                            console.log('\n✅ Local spec is in sync with online actor.');
-                        }
-                    } else {
-                        console.log(`\n📄 No local spec found at ${cmd.spec}`);
+/**
+ * Push actor_details from a spec to the API after showing a per-field plan
+ * @param {object} opts - Command options ({ id, spec, yes, planOnly, basePath })
+ * @returns {Promise<string>} - Short summary of the outcome
+ */
+async function updateFromSpec(opts) {
+    lintSpecOrThrow(opts);
+
+    const manager = new Websy();
+    const actorId = await requireActorId(manager, opts);
+    const yamlData = Websy.loadSpec(opts.spec, { env: opts.env });
+    const planned = await manager.planUpdate(actorId, yamlData, opts.spec, { pruneVersions: opts.pruneVersions });
+    const { counts, versionCounts } = planned;
+
+    console.log(`\n=== Update Plan for ${actorId} ===`);
+    Websy.printPlan(planned.plan);
+    if (planned.versionPlan.length > 0) Websy.printVersionPlan(planned.versionPlan);
+
+    const fieldChanges = counts.add + counts.change;
+    const versionChanges = versionCounts.create + versionCounts.update + versionCounts.delete;
+    if (fieldChanges + versionChanges === 0) {
+        console.log('\n✅ Local spec is in sync with online actor. Nothing to update.');
+        return 'in sync';
+    }
+
+    if (opts.planOnly) return `${fieldChanges + versionChanges} change(s) planned`;
+
+    if (!opts.yes) {
+        const apply = await Websy.confirm('\nApply these changes?');
+        if (!apply) {
+            console.log('Update cancelled. Use --yes to apply without confirmation.');
+            return 'cancelled';
+        }
+    }
+
+    await manager.applyUpdate(planned, opts.spec);
+    return versionChanges > 0
+        ? `${fieldChanges} field(s), ${versionChanges} version(s) updated`
+        : `${fieldChanges} field(s) updated`;
+}
+
+/**
+ * Print actor information, metrics and diffs against the local spec
+ * @param {object} opts - Command options ({ id, spec, format, raw, basePath })
+ * @returns {Promise<string>} - Short summary of the outcome
+ */
+async function showInfo(opts) {
+    const manager = new Websy();
+    const actorId = await requireActorId(manager, opts);
+
+    // Actor plus versions, quality, recommendations, public (Store) and issues metrics
+    const { actor: actorData, versions, quality, recommendations, publicMetrics, issuesMetrics } = await manager.getActorInfo(actorId);
+    
+    // Try to load local spec for comparison
+    const localSpec = Websy.tryLoadSpec(opts.spec, { env: opts.env });
+    let iconStatus = null;
+    try {
+        iconStatus = Websy.getIconStatus(localSpec, opts.spec, actorId, actorData);
+    } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+    }
+
+    if (opts.raw) {
+        console.log('=== Raw Stats Debug ===');
+        console.log('\n--- actorData.stats ---');
+        console.log(JSON.stringify(actorData.stats, null, 2));
+        console.log('\n--- publicMetrics ---');
+        console.log(JSON.stringify(publicMetrics, null, 2));
+        console.log('\n--- issuesMetrics ---');
+        console.log(JSON.stringify(issuesMetrics, null, 2));
+        return;
+    }
+
+    if (opts.format === 'json') {
+        const output = {
+            actor: { data: actorData },
+            versions: versions,
+            quality: quality,
+            recommendations: recommendations,
+            publicMetrics: publicMetrics,
+            issuesMetrics: issuesMetrics,
+            warnings: {
+                hasIcon: Websy.hasIcon(actorData),
+                iconStatus: iconStatus?.status ?? null
+            }
+        };
+        if (localSpec) {
+            output.diffs = Websy.compareSpecWithOnline(localSpec, actorData);
+            if (localSpec.versions) {
+                output.versionDiffs = Websy.planVersions(localSpec.versions, actorData.versions || [])
+                    .filter(entry => entry.action !== 'unchanged')
+                    .map(({ versionNumber, action, diffs }) => ({ versionNumber, action, diffs }));
+            }
+        }
+        console.log(JSON.stringify(output, null, 2));
+    } else {
+        console.log('=== Actor Information ===');
+        console.log(`ID:          ${actorData.id}`);
+        console.log(`Name:        ${actorData.name}`);
+        console.log(`Title:       ${actorData.title}`);
+        console.log(`Description: ${actorData.description || 'Not set'}`);
+        console.log(`defRunOpts:  ${JSON.stringify(actorData.defaultRunOptions)}`);
+        console.log(`Categories:  ${actorData.categories.join(', ') || 'None'}`);
+
+        console.log(`IsPublic:    ${actorData.isPublic}`);
+
+        // Display maintenance status
+        if (actorData.notice && actorData.notice !== 'NONE') {
+            console.log(`\n⚠️  Maintenance: ${actorData.notice}`);
+        }
+
+        // Icon status
+        const hasIcon = Websy.hasIcon(actorData);
+        if (iconStatus) {
+            const symbol = iconStatus.status === 'match' ? '✅' : '⚠️ ';
+            console.log(`${symbol} Icon: ${iconStatus.message}`);
+        } else if (hasIcon) {
+            console.log(`✅ Icon: Set`);
+        } else {
+            console.log(`⚠️  Icon: Not set`);
+        }
+
+        // Versions with their source and newest build
+        console.log('\n=== Versions ===');
+        if (versions.length === 0) console.log('No versions');
+        for (const version of versions) {
+            const source = version.git_repo_url
+                ? `${version.git_repo_url}${version.git_branch ? `#${version.git_branch}` : ''}`
+                : (version.tarball_url || version.base_docker_image || '');
+            console.log(`${version.versionNumber.padEnd(8)} ${version.source_type.padEnd(13)} ${source}${version.build_tag ? `  (builds tagged ${version.build_tag})` : ''}`);
+            const build = version.latestBuild;
+            const built = build
+                ? `${build.buildNumber} ${build.status}${build.finishedAt ? `, ${new Date(build.finishedAt).toISOString().slice(0, 16).replace('T', ' ')}` : ''}`
+                : 'none';
+            console.log(`         Latest build: ${built}${version.tags.length > 0 ? ` | tags: ${version.tags.join(', ')}` : ''}`);
+        }
+
+        // Actor Metrics Section
+        console.log('\n=== Actor Metrics ===');
+        
+        // Stats from actor data
+        const stats = actorData.stats || {};
+        
+        // Users metrics
+        const totalUsers = stats.totalUsers ?? publicMetrics?.stats?.totalUsers ?? 'N/A';
+        const monthlyUsers = stats.totalUsers30Days ?? publicMetrics?.stats?.totalUsers30Days ?? 'N/A';
+        console.log(`Total Users:          ${totalUsers}`);
+        console.log(`Monthly Active Users: ${monthlyUsers}`);
+        
+        // Star rating - check multiple possible locations
+        const avgRating = stats.actorReviewRating ?? publicMetrics?.averageRating ?? publicMetrics?.stats?.averageRating ?? null;
+        const totalRatings = stats.actorReviewCount ?? publicMetrics?.totalRatings ?? publicMetrics?.stats?.totalRatings ?? 0;
+        if (avgRating !== null && totalRatings > 0) {
+            console.log(`Star Rating:          ${avgRating.toFixed(1)} (${totalRatings})`);
+        } else {
+            console.log(`Star Rating:          No ratings yet`);
+        }
+        
+        // Bookmarks - check multiple locations
+        const bookmarks = stats.bookmarkCount ?? publicMetrics?.totalBookmarks ?? publicMetrics?.stats?.totalBookmarks ?? 'N/A';
+        console.log(`Bookmarks:            ${bookmarks}`);
+        
+        // Run statistics - use 30-day stats for success rate
+        const runStats30Days = stats.publicActorRunStats30Days || {};
+        const succeeded30 = runStats30Days.SUCCEEDED ?? 0;
+        const total30 = runStats30Days.TOTAL ?? 0;
+        
+        if (total30 > 0) {
+            const successRate = ((succeeded30 / total30) * 100);
+            const rateDisplay = successRate >= 99 ? '>99' : successRate.toFixed(0);
+            console.log(`Runs Success Rate:    ${rateDisplay}% succeeded (${total30} runs in 30d)`);
+        } else {
+            const totalRuns = stats.totalRuns ?? 'N/A';
+            console.log(`Total Runs:           ${totalRuns}`);
+        }
+        
+        // Issue response time
+        const issueResponseMs = issuesMetrics?.averageResponseTimeMs ?? publicMetrics?.averageIssueResponseTimeMs ?? publicMetrics?.stats?.averageIssueResponseTimeMs ?? null;
+        if (issueResponseMs !== null) {
+            console.log(`Issue Response Time:  ${Websy.formatDuration(issueResponseMs)}`);
+        } else {
+            console.log(`Issue Response Time:  N/A`);
+        }
+        
+        // Created and Modified dates (exact month/year)
+        const createdAt = new Date(actorData.createdAt);
+        const modifiedAt = new Date(actorData.modifiedAt);
+        console.log(`Created:              ${Websy.formatMonthYear(createdAt)}`);
+        console.log(`Modified:             ${Websy.formatMonthYear(modifiedAt)}`);
+        
+        // Display quality information
+        if (quality) {
+            console.log('\n=== Actor Quality ===');
+            console.log(`Quality Score:      ${(quality.actorQuality * 100).toFixed(2)}%`);
+            console.log(`Quality Percentile: ${(quality.actorQualityPercentile * 100).toFixed(2)}%`);
+        }
+        
+        // Display recommendations
+        if (recommendations) {
+            if (recommendations.praises && recommendations.praises.length > 0) {
+                console.log('\n=== Praises ===');
+                recommendations.praises.forEach((praise, index) => {
+                    console.log(`${index + 1}. ${praise.title} (Percentile: ${(praise.percentile * 100).toFixed(0)}%)`);
+                });
+            }
+            
+            if (recommendations.improvements && recommendations.improvements.length > 0) {
+                console.log('\n=== Improvements ===');
+                recommendations.improvements.forEach((improvement, index) => {
+                    console.log(`${index + 1}. ${improvement.title}`);
+                });
+            }
+        }
+
+        // Compare local spec with online data
+        if (localSpec) {
+            const diffs = Websy.compareSpecWithOnline(localSpec, actorData);
+            const versionDiffs = Websy.planVersions(localSpec.versions || {}, actorData.versions || [])
+                .filter(entry => entry.action !== 'unchanged');
+            if (diffs.length > 0 || versionDiffs.length > 0) {
+                console.log('\n=== Local vs Online Diffs ===');
+                console.log('⚠️  The following fields differ between local spec and online:');
+                for (const diff of diffs) {
+                    for (const { field, local, online } of diff.keys
+                        ? diff.keys.map(({ key, ...values }) => ({ field: `${diff.field}.${key}`, ...values }))
+                        : [diff]) {
+                        console.log(`\n  ${field}:`);
+                        console.log(`    Local:  ${JSON.stringify(local)}`);
+                        console.log(`    Online: ${JSON.stringify(online) ?? '(unset)'}`);
+                    }
+                }
+                for (const entry of versionDiffs) {
+                    if (entry.action === 'create') {
+                        console.log(`\n  versions.${entry.versionNumber}: not created online yet`);
+                        continue;
+                    }
+                    console.log(`\n  versions.${entry.versionNumber}:`);
+                    for (const diff of entry.diffs) {
+                        console.log(`    ${diff.field}: ${JSON.stringify(diff.online) ?? '(unset)'} online, ${JSON.stringify(diff.local) ?? '(unset)'} local`);
                     }
                 }
+                console.log('\n💡 Run "websy update" to sync local spec to online.');
+            } else {
+                console.log('\n✅ Local spec is in sync with online actor.');
+            }
+        } else {
+            console.log(`\n📄 No local spec found at ${opts.spec}`);
+        }
+    }
+
+    return 'info shown';
+}
+
+/**
+ * Generate .actor/*.json files from a spec
+ * @param {object} opts - Command options ({ spec, dryRun, verbose, basePath })
+ * @returns {string} - Short summary of the outcome
+ */
+function genSchemas(opts) {
+    lintSpecOrThrow(opts);
+
+    const yamlData = Websy.loadSpec(opts.spec, { env: opts.env });
+    
+    if (!yamlData.schemas) {
+        throw new SpecError('Spec must contain a `schemas` section.');
+    }
+    
+    const manager = new ActorSchemaManager(yamlData.schemas, {
+        basePath: opts.basePath,
+        dryRun: opts.dryRun || opts.check,
+        verbose: opts.verbose,
+        merge: opts.merge
+    });
+    
+    // Validate config first
+    const validation = manager.validate();
+    if (!validation.valid) {
+        console.error('Schema validation errors:');
+        validation.errors.forEach(err => console.error(`  - ${err}`));
+        throw new ValidationError(`${validation.errors.length} schema validation error(s)`, validation.errors);
+    }
+
+    if (opts.check) {
+        const results = manager.diffSchemaFiles();
+        const stale = results.filter(result => result.status !== 'unchanged');
+        if (opts.format === 'json') {
+            console.log(JSON.stringify(results, null, 2));
+        } else {
+            printSchemaDiff(results);
+        }
+        if (stale.length > 0) {
+            const orphaned = stale.filter(result => result.status === 'orphaned').map(result => `.actor/${result.file}`);
+            const hints = [
+                ...(stale.length > orphaned.length ? [`run "websy gen-schemas${opts.merge ? ' --merge' : ''}" to update`] : []),
+                ...(orphaned.length > 0 ? [`delete ${orphaned.join(', ')}`] : [])
+            ];
+            throw new Error(`${stale.length} .actor file(s) differ from the spec (${hints.join(', ')})`);
+        }
+        return 'up to date';
+    }
+    
+    const schemas = manager.generateAllSchemas();
+    
+    if (opts.dryRun) {
+        console.log('\n=== DRY RUN - Generated Schemas ===\n');
+        console.log('--- actor.json ---');
+        console.log(JSON.stringify(schemas.actor, null, 2));
+        console.log('\n--- input_schema.json ---');
+        console.log(JSON.stringify(schemas.inputSchema, null, 2));
+        console.log('\n--- dataset_schema.json ---');
+        console.log(JSON.stringify(schemas.datasetSchema, null, 2));
+        console.log('\n--- output_schema.json ---');
+        console.log(JSON.stringify(schemas.outputSchema, null, 2));
+        if (schemas.keyValueStoreSchema) {
+            console.log('\n--- key_value_store_schema.json ---');
+            console.log(JSON.stringify(schemas.keyValueStoreSchema, null, 2));
+        }
+        console.log('\n🚨 Dry run mode - no files written. Use without --dry-run to write files.');
+    }
+
+    return opts.dryRun ? 'dry run' : 'schemas generated';
+}
+
+/**
+ * Print the result of ActorSchemaManager.diffSchemaFiles()
+ * @param {object[]} results - Per-file results
+ */
+function printSchemaDiff(results) {
+    const show = value => (value === undefined ? '' : JSON.stringify(value));
+    for (const result of results) {
+        if (result.status === 'unchanged') {
+            console.log(`✅ .actor/${result.file} is up to date`);
+            continue;
+        }
+        if (result.status === 'missing') {
+            console.log(`❌ .actor/${result.file} is missing`);
+            continue;
+        }
+        if (result.status === 'orphaned') {
+            console.log(`❌ .actor/${result.file} is no longer generated from the spec (delete it)`);
+            continue;
+        }
+        console.log(`❌ .actor/${result.file} differs (${result.changes.length} change(s)):`);
+        for (const change of result.changes) {
+            if (change.type === 'added') console.log(`  + ${change.path}: ${show(change.after)}`);
+            if (change.type === 'removed') console.log(`  - ${change.path}: ${show(change.before)}`);
+            if (change.type === 'changed') console.log(`  ~ ${change.path}: ${show(change.before)} → ${show(change.after)}`);
+        }
+    }
+}
+
+/**
+ * Get a generated schema, either from a given JSON file or by generating it from the spec
+ * @param {object} opts - Command options ({ spec, env, schema })
+ * @param {string} generator - ActorSchemaManager method to use (e.g. 'generateInputSchema')
+ * @returns {object} - The schema content
+ */
+function loadGeneratedSchema(opts, generator) {
+    if (opts.schema) {
+        return JSON.parse(fs.readFileSync(opts.schema, 'utf8'));
+    }
+    const yamlData = Websy.loadSpec(opts.spec, { env: opts.env });
+    if (!yamlData?.schemas) {
+        throw new SpecError('Spec must contain a `schemas` section (or pass --schema).');
+    }
+    return new ActorSchemaManager(yamlData.schemas, { dryRun: true })[generator]();
+}
+
+/**
+ * Run a command for the workspace actors selected by --all / --filter
+ * @param {object} cmd - Parsed command options
+ * @param {Function} task - (opts) => summary, called with per-actor options
+ */
+async function runForWorkspace(cmd, task) {
+    const workspace = Workspace.load(cmd.workspace);
+    const actors = workspace.select(cmd.filter);
+    if (actors.length === 0) {
+        throw new Error(`No workspace actors match '${cmd.filter}'`);
+    }
+
+    const results = await workspace.runEach(actors, actor => task({
+        ...cmd,
+        id: actor.id,
+        spec: actor.spec,
+        basePath: actor.dir
+    }));
+    workspace.printSummary(results);
+
+    if (results.some(result => !result.ok)) process.exit(1);
+}
+
+// Simple CLI interface using commander
+function main() {
+    const program = new Command();
+
+    program
+        .name('websy')
+        .description('CLI to manage Apify actors')
+        .version('1.0.0')
+        .option('--debug', 'Log every API request and response to stderr (tokens and secrets redacted)')
+        .option('--request-timeout <secs>', 'Timeout of a single API request attempt (default 60, or WEBSY_TIMEOUT_SECS)')
+        .option('--retries <n>', 'Retries on 429/5xx and network errors; POST only on 429 (default 5, or WEBSY_RETRIES)')
+        .option('--proxy <url>', 'HTTP(S) proxy for API requests (defaults to HTTPS_PROXY/HTTP_PROXY)')
+        .option('--profile <name>', 'Use a profile saved by "websy login" (defaults to WEBSY_PROFILE, APIFY_TOKEN, then the default profile)')
+        .hook('preAction', () => {
+            const globals = program.opts();
+            if (globals.profile) credentialDefaults.profile = globals.profile;
+            if (globals.debug) transportDefaults.debug = true;
+            if (globals.requestTimeout !== undefined) transportDefaults.timeoutSecs = globals.requestTimeout;
+            if (globals.retries !== undefined) transportDefaults.retries = globals.retries;
+            if (globals.proxy) transportDefaults.proxy = globals.proxy;
+        });
+
+    program
+        .command('login')
+        .description('Check an API token via users/me and save it as a named profile (use the global --profile to name it)')
+        .option('-t, --token <token>', 'API token (prompted for, or read from stdin, when omitted)')
+        .option('--from-apify-cli', 'Save the account stored by "apify login" instead')
+        .option('--default', 'Make this the default profile')
+        .action(async (cmd) => {
+            try {
+                const credentials = new CredentialStore();
+                let token = cmd.token;
+                if (cmd.fromApifyCli) {
+                    const apifyCli = credentials.readApifyCliAuth();
+                    if (!apifyCli) throw new AuthError(`The Apify CLI is not logged in (${credentials.apifyAuthPath} not found)`);
+                    token = apifyCli.token;
+                }
+                if (!token) token = await readToken();
+                if (!token) throw new AuthError('No token given (pass --token, pipe it to stdin, or use --from-apify-cli)');
+
+                const user = await new Websy({ apiToken: token }).getCurrentUser();
+                const name = program.opts().profile || user.username;
+                const isDefault = credentials.saveProfile(name, { token, username: user.username, userId: user.id }, { makeDefault: cmd.default });
+
+                console.log(`✅ Logged in as ${user.username} (profile '${name}'${isDefault ? ', default' : ''})`);
+                console.log(`💡 Credentials saved to ${credentials.path}`);
+                if (!isDefault) console.log(`💡 Use it with --profile ${name} or WEBSY_PROFILE=${name}`);
             } catch (error) {
-                console.error(`Failed to get actor info: ${error.message}`);
+                console.error(`Failed to log in: ${error.message}`);
                 process.exit(1);
             }
         });
 
     program
-        .command('gen-schemas')
-        .description('Generate all .actor/*.json schema files from websy-spec.yml')
-        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
-        .option('--dry-run', 'Preview generated schemas without writing files')
-        .option('-v, --verbose', 'Show detailed output')
+        .command('logout')
+        .description('Remove a saved profile (the one named by the global --profile, else the default)')
+        .option('--all', 'Remove every saved profile')
         .action(async (cmd) => {
             try {
-                const yamlData = Websy.loadSpec(cmd.spec);
-                
-                if (!yamlData.schemas) {
-                    console.error('Spec must contain a `schemas` section.');
-                    process.exit(1);
+                const credentials = new CredentialStore();
+                if (cmd.all) {
+                    const names = credentials.listProfiles().map(profile => profile.name);
+                    names.forEach(name => credentials.removeProfile(name));
+                    console.log(`✅ Removed ${names.length} profile(s)`);
+                    return;
                 }
-                
-                const manager = new ActorSchemaManager(yamlData.schemas, {
-                    dryRun: cmd.dryRun,
-                    verbose: cmd.verbose
-                });
-                
-                // Validate config first
+
+                const name = program.opts().profile || credentials.load().defaultProfile;
+                if (!name) throw new Error('No default profile; pass --profile <name>');
+                if (!credentials.removeProfile(name)) throw new Error(`Unknown profile '${name}'`);
+                console.log(`✅ Removed profile '${name}'`);
+                if (credentials.readApifyCliAuth()) {
+                    console.log(`💡 The Apify CLI login (${credentials.apifyAuthPath}) is still used when no profile or APIFY_TOKEN is set; run "apify logout" to remove it`);
+                }
+            } catch (error) {
+                console.error(`Failed to log out: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('profiles')
+        .description('List saved profiles and show which credentials commands will use')
+        .option('--check', 'Look up the active account via users/me')
+        .action(async (cmd) => {
+            try {
+                const credentials = new CredentialStore();
+                const profiles = credentials.listProfiles();
+                if (profiles.length === 0) {
+                    console.log('No saved profiles (run "websy login").');
+                }
+                for (const profile of profiles) {
+                    console.log(`${profile.isDefault ? '*' : ' '} ${profile.name.padEnd(20)} ${profile.username || '(unknown user)'}`);
+                }
+
+                const active = credentials.resolve({ profile: program.opts().profile });
+                if (!active) {
+                    console.log('\n⚠️  No credentials found: run "websy login" or set APIFY_TOKEN');
+                    return;
+                }
+                console.log(`\nActive credentials: ${active.source}`);
+                if (cmd.check) {
+                    const manager = new Websy();
+                    const user = await manager.getCurrentUser();
+                    console.log(`✅ Token belongs to ${user.username} (${user.id})`);
+                }
+            } catch (error) {
+                console.error(`Failed to list profiles: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('init')
+        .description('Create a new actor project (spec, .actor files, INPUT.json, Dockerfile, package.json, entry file) from a template')
+        .argument('<name>', 'Actor name (lowercase letters, digits and dashes)')
+        .option('-t, --template <name|dir>', `Built-in template (${ProjectScaffolder.listTemplates().map(t => t.name).join(', ')}) or template directory`, 'basic')
+        .option('-d, --dir <path>', 'Project directory (default: ./<name>)')
+        .option('--answers <file>', 'YAML/JSON file with template variables')
+        .option('--title <title>', 'Actor title')
+        .option('--description <text>', 'Actor description')
+        .option('--categories <list>', 'Comma-separated categories, e.g. ECOMMERCE,LEAD_GENERATION')
+        .option('--memory <mb>', 'Default run memory in MB')
+        .option('--timeout <secs>', 'Default run timeout in seconds')
+        .option('--set <key=value>', 'Set any template variable (repeatable)', (value, previous) => [...previous, value], [])
+        .option('--force', 'Write into a directory that is not empty')
+        .option('--dry-run', 'List the files without writing anything')
+        .action(async (name, cmd) => {
+            try {
+                const scaffolder = new ProjectScaffolder(cmd.template);
+                const targetDir = resolve(cmd.dir || name);
+
+                if (!cmd.force && fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+                    throw new Error(`${targetDir} is not empty (use --force to write into it)`);
+                }
+
+                // Answers file < flags < --set
+                const answers = cmd.answers ? ProjectScaffolder.loadAnswers(cmd.answers) : {};
+                answers.name = name;
+                if (cmd.title !== undefined) answers.title = cmd.title;
+                if (cmd.description !== undefined) answers.description = cmd.description;
+                if (cmd.categories !== undefined) answers.categories = cmd.categories.split(',').map(c => c.trim()).filter(Boolean);
+                if (cmd.memory !== undefined) answers.memoryMbytes = parseInt(cmd.memory, 10);
+                if (cmd.timeout !== undefined) answers.timeoutSecs = parseInt(cmd.timeout, 10);
+                for (const pair of cmd.set) {
+                    const index = pair.indexOf('=');
+                    if (index <= 0) throw new Error(`--set expects key=value (got '${pair}')`);
+                    answers[pair.slice(0, index)] = pair.slice(index + 1);
+                }
+
+                const variables = scaffolder.buildVariables(answers);
+                const categoryCheck = Websy.validateCategories(variables.categories || []);
+                if (!categoryCheck.valid) {
+                    throw new Error(categoryCheck.message);
+                }
+
+                const { files, spec } = scaffolder.scaffold(targetDir, variables, { dryRun: cmd.dryRun });
+                const manager = new ActorSchemaManager(spec.schemas || {}, { basePath: targetDir, dryRun: cmd.dryRun });
                 const validation = manager.validate();
                 if (!validation.valid) {
-                    console.error('Schema validation errors:');
                     validation.errors.forEach(err => console.error(`  - ${err}`));
-                    process.exit(1);
+                    throw new Error(`the template's websy-spec.yml has ${validation.errors.length} schema validation error(s)`);
                 }
-                
-                const schemas = manager.generateAllSchemas();
-                
+
                 if (cmd.dryRun) {
-                    console.log('\n=== DRY RUN - Generated Schemas ===\n');
-                    console.log('--- actor.json ---');
-                    console.log(JSON.stringify(schemas.actor, null, 2));
-                    console.log('\n--- input_schema.json ---');
-                    console.log(JSON.stringify(schemas.inputSchema, null, 2));
-                    console.log('\n--- dataset_schema.json ---');
-                    console.log(JSON.stringify(schemas.datasetSchema, null, 2));
-                    console.log('\n--- output_schema.json ---');
-                    console.log(JSON.stringify(schemas.outputSchema, null, 2));
+                    console.log(`\n=== DRY RUN - ${targetDir} ===\n`);
+                    [...files, '.actor/*.json', 'INPUT.json'].forEach(file => console.log(`  ${file}`));
                     console.log('\n🚨 Dry run mode - no files written. Use without --dry-run to write files.');
+                    return;
                 }
-                
+
+                const problems = new SpecLinter().lintFile(join(targetDir, 'websy-spec.yml'));
+                if (problems.length > 0) {
+                    problems.forEach(problem => console.error(SpecLinter.formatProblem(problem)));
+                    throw new Error(`the generated websy-spec.yml has ${problems.length} lint error(s)`);
+                }
+                manager.generateAllSchemas();
+                manager.generateInputFile(join(targetDir, 'INPUT.json'));
+
+                console.log(`✅ Created ${name} in ${targetDir}`);
+                console.log('\nNext steps:');
+                console.log(`  cd ${relative(process.cwd(), targetDir) || '.'}`);
+                console.log('  npm install');
+                console.log('  apify run      # run locally with INPUT.json');
+                console.log('  apify push     # then: websy update');
+            } catch (error) {
+                console.error(`Failed to create project: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('update')
+        .description('Update actor properties using a YAML spec file')
+        .option('-i, --id <actorId>', 'Actor ID')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('-y, --yes', 'Apply the plan without asking for confirmation')
+        .option('--plan-only', 'Print the plan and exit without updating')
+        .option('--prune-versions', 'Delete online versions that are not in the spec\'s `versions` section')
+        .option('--all', 'Run for every actor in the workspace')
+        .option('--filter <glob>', 'Run for workspace actors whose name or directory matches the glob')
+        .option('-w, --workspace <path>', 'Path to workspace file', './websy-workspace.yml')
+        .option('--no-lint', 'Skip linting the spec before running')
+        .action(async (cmd) => {
+            try {
+                if (cmd.all || cmd.filter) return await runForWorkspace(cmd, updateFromSpec);
+                await updateFromSpec(cmd);
+            } catch (error) {
+                console.error(`Failed to update actor: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('pull')
+        .description('Write the online actor metadata back into actor_details of the spec file')
+        .option('-i, --id <actorId>', 'Actor ID')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('-y, --yes', 'Overwrite locally edited fields without asking')
+        .option('--dry-run', 'Show what would change without writing the spec')
+        .action(async (cmd) => {
+            try {
+                const manager = new Websy();
+                const actorId = await requireActorId(manager, cmd);
+                const actorInfo = await manager.getActor(actorId);
+                const onlineDetails = Websy.pickActorDetails(actorInfo.data);
+
+                const localDetails = Websy.loadSpec(cmd.spec, { env: cmd.env }).actor_details || {};
+                const baseDetails = Websy.loadSyncState(cmd.spec, actorId);
+
+                const changes = Websy.planPull(localDetails, onlineDetails, baseDetails);
+                if (changes.length === 0) {
+                    console.log('✅ Local spec is already in sync with online actor.');
+                    Websy.saveSyncState(cmd.spec, actorId, onlineDetails);
+                    return;
+                }
+
+                // Each value is written where it is declared: an extended file, the spec or its --env overlay
+                const docs = new Map();
+                let skipped = 0;
+                for (const change of changes) {
+                    console.log(`\n  ${change.field}${change.conflict ? ' (edited locally)' : ''}:`);
+                    console.log(`    Local:  ${JSON.stringify(change.local)}`);
+                    console.log(`    Online: ${JSON.stringify(change.online)}`);
+
+                    if (change.conflict && !cmd.yes && !cmd.dryRun) {
+                        const overwrite = await Websy.confirm(`  Overwrite local '${change.field}' with online value?`);
+                        if (!overwrite) {
+                            console.log(`  Keeping local '${change.field}'`);
+                            skipped++;
+                            continue;
+                        }
+                    }
+                    const target = Websy.locateSpecValue(cmd.spec, cmd.env, ['actor_details', ...change.path]);
+                    if (!docs.has(target.file)) docs.set(target.file, parseDocument(fs.readFileSync(target.file, 'utf8')));
+                    if (target.file !== resolve(cmd.spec)) {
+                        console.log(`    Declared in ${relative(process.cwd(), target.file)}`);
+                    }
+                    Websy.setInDocument(docs.get(target.file), target.path, change.online);
+                }
+
+                if (cmd.dryRun) {
+                    console.log('\n🚨 Dry run mode - no files written. Use without --dry-run to write files.');
+                    return;
+                }
+
+                for (const [file, doc] of docs) {
+                    fs.writeFileSync(file, doc.toString(), 'utf8');
+                }
+                Websy.saveSyncState(cmd.spec, actorId, onlineDetails);
+                const files = [...docs.keys()].map(file => relative(process.cwd(), file) || file);
+                console.log(`\n✅ Pulled ${changes.length - skipped} field(s) into ${files.join(', ') || cmd.spec}` +
+                    (skipped > 0 ? ` (${skipped} kept local)` : ''));
+            } catch (error) {
+                console.error(`Failed to pull actor details: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('info')
+        .description('Get actor information')
+        .option('-i, --id <actorId>', 'Actor ID')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('-f, --format <format>', 'Output format (json, pretty)', 'pretty')
+        .option('--raw', 'Show raw stats object for debugging')
+        .option('--all', 'Run for every actor in the workspace')
+        .option('--filter <glob>', 'Run for workspace actors whose name or directory matches the glob')
+        .option('-w, --workspace <path>', 'Path to workspace file', './websy-workspace.yml')
+        .action(async (cmd) => {
+            try {
+                if (cmd.all || cmd.filter) return await runForWorkspace(cmd, showInfo);
+                await showInfo(cmd);
+            } catch (error) {
+                console.error(`Failed to get actor info: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('gen-schemas')
+        .description('Generate all .actor/*.json schema files from websy-spec.yml')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('--dry-run', 'Preview generated schemas without writing files')
+        .option('--check', 'Exit non-zero and print a per-file diff when .actor files differ from the spec')
+        .option('--merge', 'Keep keys that exist only in the current .actor files (e.g. dockerfile in actor.json)')
+        .option('-f, --format <format>', 'Output format for --check (json, pretty)', 'pretty')
+        .option('-v, --verbose', 'Show detailed output')
+        .option('--all', 'Run for every actor in the workspace')
+        .option('--filter <glob>', 'Run for workspace actors whose name or directory matches the glob')
+        .option('-w, --workspace <path>', 'Path to workspace file', './websy-workspace.yml')
+        .option('--no-lint', 'Skip linting the spec before running')
+        .action(async (cmd) => {
+            try {
+                if (cmd.all || cmd.filter) return await runForWorkspace(cmd, genSchemas);
+                genSchemas(cmd);
             } catch (error) {
                 console.error(`Failed to generate schemas: ${error.message}`);
                 process.exit(1);
@@ -729,12 +2442,16 @@ function main() {
         .command('gen-input')
         .description('Generate INPUT.json file with default values from websy-spec.yml')
         .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
         .option('-o, --output <path>', 'Output path for INPUT.json', './INPUT.json')
         .option('--dry-run', 'Preview generated input without writing file')
         .option('-v, --verbose', 'Show detailed output')
+        .option('--no-lint', 'Skip linting the spec before running')
         .action(async (cmd) => {
             try {
-                const yamlData = Websy.loadSpec(cmd.spec);
+                lintSpecOrThrow(cmd);
+
+                const yamlData = Websy.loadSpec(cmd.spec, { env: cmd.env });
                 
                 if (!yamlData.schemas) {
                     console.error('Spec must contain a `schemas` section.');
@@ -760,6 +2477,563 @@ function main() {
             }
         });
 
+    program
+        .command('gen-readme')
+        .description('Render the Input and Output sections of README.md from websy-spec.yml')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('-o, --output <path>', 'README file to update', './README.md')
+        .option('--templates <dir>', 'Directory with input.md / output.md templates')
+        .option('--check', 'Exit non-zero when the README is out of date instead of writing it')
+        .option('--dry-run', 'Print the updated README without writing it')
+        .option('--no-lint', 'Skip linting the spec before running')
+        .action(async (cmd) => {
+            try {
+                lintSpecOrThrow(cmd);
+
+                const yamlData = Websy.loadSpec(cmd.spec, { env: cmd.env });
+                if (!yamlData?.schemas) {
+                    throw new SpecError('Spec must contain a `schemas` section.');
+                }
+
+                const generator = new ReadmeGenerator(yamlData.schemas, { templatesDir: cmd.templates });
+                const current = fs.existsSync(cmd.output) ? fs.readFileSync(cmd.output, 'utf8') : '';
+                const { content, changed, appended } = generator.update(current);
+
+                if (cmd.check) {
+                    if (changed.length > 0) {
+                        console.error(`❌ ${cmd.output} is out of date (${changed.join(', ')}). Run "websy gen-readme" to update it.`);
+                        process.exit(1);
+                    }
+                    console.log(`✅ ${cmd.output} is up to date.`);
+                    return;
+                }
+
+                if (cmd.dryRun) {
+                    console.log(content);
+                    console.log('\n🚨 Dry run mode - no files written. Use without --dry-run to write files.');
+                    return;
+                }
+
+                if (changed.length === 0) {
+                    console.log(`✅ ${cmd.output} is already up to date.`);
+                    return;
+                }
+                fs.writeFileSync(cmd.output, content);
+                for (const section of appended) {
+                    console.log(`💡 Added the ${section} section with markers at the end of ${cmd.output}; move it where it belongs.`);
+                }
+                console.log(`✅ Updated ${changed.join(', ')} in ${cmd.output}`);
+            } catch (error) {
+                console.error(`Failed to generate README: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('gen-types')
+        .description('Generate TypeScript types for the actor input and dataset items from websy-spec.yml')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('-o, --output <path>', 'Output file (.d.ts for types only, .ts to allow --validators)', './src/actor-types.d.ts')
+        .option('--validators', 'Also emit validateInput/assertInput/validateDatasetItem/isDatasetItem (needs a .ts output)')
+        .option('--check', 'Exit non-zero when the types file is out of date instead of writing it')
+        .option('--dry-run', 'Print the generated types without writing them')
+        .option('--no-lint', 'Skip linting the spec before running')
+        .action(async (cmd) => {
+            try {
+                lintSpecOrThrow(cmd);
+
+                if (cmd.validators && (cmd.output.endsWith('.d.ts') || !cmd.output.endsWith('.ts'))) {
+                    throw new Error(`--validators emits code, so the output must be a .ts file (got ${cmd.output})`);
+                }
+
+                const yamlData = Websy.loadSpec(cmd.spec, { env: cmd.env });
+                if (!yamlData?.schemas) {
+                    throw new SpecError('Spec must contain a `schemas` section.');
+                }
+
+                const content = new TypeGenerator(yamlData.schemas).render({ validators: cmd.validators });
+                const current = fs.existsSync(cmd.output) ? fs.readFileSync(cmd.output, 'utf8') : null;
+
+                if (cmd.check) {
+                    if (current !== content) {
+                        console.error(`❌ ${cmd.output} is ${current === null ? 'missing' : 'out of date'}. Run "websy gen-types${cmd.validators ? ' --validators' : ''}" to update it.`);
+                        process.exit(1);
+                    }
+                    console.log(`✅ ${cmd.output} is up to date.`);
+                    return;
+                }
+
+                if (cmd.dryRun) {
+                    console.log(content);
+                    console.log('\n🚨 Dry run mode - no files written. Use without --dry-run to write files.');
+                    return;
+                }
+
+                if (current === content) {
+                    console.log(`✅ ${cmd.output} is already up to date.`);
+                    return;
+                }
+                fs.mkdirSync(dirname(cmd.output), { recursive: true });
+                fs.writeFileSync(cmd.output, content);
+                console.log(`✅ Wrote Input and DatasetItem types${cmd.validators ? ' with validators' : ''} to ${cmd.output}`);
+            } catch (error) {
+                console.error(`Failed to generate types: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('lint')
+        .description('Check websy-spec.yml (and the files it extends) against the spec JSON Schema')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-f, --format <format>', 'Output format (json, pretty)', 'pretty')
+        .action(async (cmd) => {
+            try {
+                const problems = new SpecLinter().lintFile(cmd.spec);
+
+                if (cmd.format === 'json') {
+                    console.log(JSON.stringify(problems, null, 2));
+                } else if (problems.length === 0) {
+                    console.log(`✅ ${cmd.spec} is valid.`);
+                } else {
+                    problems.forEach(problem => console.log(SpecLinter.formatProblem(problem)));
+                    console.log(`\n❌ ${problems.length} problem(s) found.`);
+                }
+
+                if (problems.length > 0) process.exit(1);
+            } catch (error) {
+                console.error(`Failed to lint spec: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('run')
+        .description('Start an actor run, stream its log and download the results')
+        .option('-i, --id <actorId>', 'Actor ID')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('--input <file>', 'Input JSON file', './INPUT.json')
+        .option('-b, --build <tag>', 'Build tag or number (overrides defaultRunOptions.build)')
+        .option('-m, --memory <mbytes>', 'Memory in MB (overrides defaultRunOptions.memoryMbytes)')
+        .option('-t, --timeout <secs>', 'Timeout in seconds (overrides defaultRunOptions.timeoutSecs)')
+        .option('--max-items <n>', 'Maximum number of dataset items to charge for')
+        .option('-o, --output <file>', 'Save dataset items to a .json, .jsonl or .csv file')
+        .option('--no-wait', 'Only start the run, do not wait for it to finish')
+        .option('--no-log', 'Do not stream the run log')
+        .option('--poll-interval <secs>', 'Seconds between status polls', '2')
+        .action(async (cmd) => {
+            try {
+                const manager = new Websy();
+                const actorId = await requireActorId(manager, cmd);
+                const spec = Websy.tryLoadSpec(cmd.spec, { env: cmd.env });
+                const defaults = spec?.actor_details?.defaultRunOptions || {};
+
+                if (!fs.existsSync(cmd.input)) {
+                    throw new Error(`Input file not found: ${cmd.input} (run "websy gen-input" or pass --input)`);
+                }
+                const input = JSON.parse(fs.readFileSync(cmd.input, 'utf8'));
+
+                const format = cmd.output?.split('.').pop().toLowerCase();
+                if (cmd.output && !['json', 'jsonl', 'csv'].includes(format)) {
+                    throw new Error(`Unsupported output format '.${format}' (use .json, .jsonl or .csv)`);
+                }
+
+                const toInt = value => (value === undefined ? undefined : parseInt(value, 10));
+                const options = {
+                    build: cmd.build ?? defaults.build,
+                    memory: toInt(cmd.memory) ?? defaults.memoryMbytes,
+                    timeout: toInt(cmd.timeout) ?? defaults.timeoutSecs,
+                    maxItems: toInt(cmd.maxItems) ?? defaults.maxItems
+                };
+
+                const run = (await manager.runActor(actorId, input, options)).data;
+                console.log(`Run ID: ${run.id}`);
+                console.log(`Console: https://console.apify.com/actors/runs/${run.id}`);
+                if (!cmd.wait) return;
+
+                const finished = await manager.waitForRun(run.id, {
+                    pollIntervalMs: parseFloat(cmd.pollInterval) * 1000,
+                    onLog: cmd.log ? chunk => process.stdout.write(chunk) : null,
+                    onStatus: status => console.log(`\n[websy] Run status: ${status}`)
+                });
+
+                const duration = Websy.formatDuration(new Date(finished.finishedAt) - new Date(finished.startedAt));
+                console.log(`\nRun ${finished.id} finished with status ${finished.status} in ${duration}`);
+
+                if (cmd.output && finished.defaultDatasetId) {
+                    const body = await manager.downloadDatasetItems(finished.defaultDatasetId, format);
+                    fs.writeFileSync(cmd.output, body, 'utf8');
+                    console.log(`✅ Saved dataset items to ${cmd.output}`);
+                }
+
+                process.exitCode = RUN_STATUS_EXIT_CODES[finished.status] ?? 1;
+            } catch (error) {
+                console.error(`Failed to run actor: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('build')
+        .description('Build the actor version from the spec (or a tarball), follow the log and tag the result')
+        .option('-i, --id <actorId>', 'Actor ID')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('--version-number <n>', 'Version to build (defaults to schemas.actor.version)')
+        .option('--tarball <url>', 'Build from this source tarball URL (repoints the version to it for good: sourceType TARBALL)')
+        .option('-y, --yes', 'Repoint a git or source files version to --tarball without asking')
+        .option('-t, --tag <tag>', 'Move this build tag (e.g. latest, beta) to the build when it succeeds')
+        .option('--no-cache', 'Build without the Docker layer cache')
+        .option('--no-wait', 'Only start the build, do not wait for it to finish')
+        .option('--no-log', 'Do not stream the build log')
+        .option('--poll-interval <secs>', 'Seconds between status polls', '2')
+        .action(async (cmd) => {
+            try {
+                const manager = new Websy();
+                const actorId = await requireActorId(manager, cmd);
+                const spec = Websy.tryLoadSpec(cmd.spec, { env: cmd.env });
+                const version = cmd.versionNumber || spec?.schemas?.actor?.version || '0.1';
+
+                // Without waiting, the API applies the tag itself when the build succeeds
+                const buildOptions = { version, useCache: cmd.cache, tag: cmd.wait ? undefined : cmd.tag };
+                if (cmd.tarball) {
+                    const current = await manager.getVersion(actorId, version);
+                    if (current.sourceType !== 'TARBALL' || current.tarballUrl !== cmd.tarball) {
+                        const source = Websy.versionToSpec(current);
+                        console.warn(`⚠️  Version ${version} currently builds from ${source.git_repo_url || source.tarball_url || source.source_type}.`);
+                        console.warn(`   --tarball repoints it to ${cmd.tarball}, and it stays that way after the build.`);
+                        if (spec?.versions?.[version]) {
+                            console.warn(`   The spec declares version ${version}, so the next "websy update" will show (and revert) this change.`);
+                        }
+                        if (!cmd.yes && !(await Websy.confirm(`Repoint version ${version} to the tarball?`))) {
+                            console.log('Build cancelled. Use --yes to repoint without confirmation.');
+                            return;
+                        }
+                    }
+                }
+                const build = cmd.tarball
+                    ? (await manager.buildFromSource(actorId, cmd.tarball, buildOptions)).data
+                    : (await manager.buildActor(actorId, buildOptions)).data;
+                console.log(`Build ID: ${build.id} (version ${version})`);
+                if (!cmd.wait) {
+                    if (cmd.tag) console.log(`🏷️  '${cmd.tag}' will be moved to this build when it succeeds`);
+                    return;
+                }
+
+                let log = '';
+                const finished = await manager.waitForBuild(build.id, {
+                    pollIntervalMs: parseFloat(cmd.pollInterval) * 1000,
+                    onLog: chunk => {
+                        log += chunk;
+                        if (cmd.log) process.stdout.write(chunk);
+                    },
+                    onStatus: status => console.log(`\n[websy] Build status: ${status}`)
+                });
+
+                if (finished.status !== 'SUCCEEDED') {
+                    console.error(`\n❌ Build ${finished.buildNumber || finished.id} finished with status ${finished.status}`);
+                    if (log) {
+                        console.error('\n--- Log excerpt ---');
+                        console.error(Websy.logExcerpt(log));
+                    }
+                    process.exit(1);
+                }
+
+                console.log(`\n✅ Build ${finished.buildNumber} succeeded`);
+
+                if (cmd.tag) {
+                    await manager.tagBuild(actorId, cmd.tag, finished.id);
+                    console.log(`🏷️  Tagged build ${finished.buildNumber} as '${cmd.tag}'`);
+                }
+            } catch (error) {
+                console.error(`Failed to build actor: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('validate-input')
+        .description('Validate an INPUT.json file against the input schema generated from the spec')
+        .argument('[file]', 'Input file to validate', './INPUT.json')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('--schema <path>', 'Validate against an existing input_schema.json instead of the spec')
+        .option('-f, --format <format>', 'Output format (json, pretty)', 'pretty')
+        .action(async (file, cmd) => {
+            try {
+                const inputSchema = loadGeneratedSchema(cmd, 'generateInputSchema');
+                const input = JSON.parse(fs.readFileSync(file, 'utf8'));
+                const errors = DataValidator.validateInput(input, inputSchema);
+
+                if (cmd.format === 'json') {
+                    console.log(JSON.stringify({ file, valid: errors.length === 0, errors }, null, 2));
+                } else if (errors.length === 0) {
+                    console.log(`✅ ${file} is valid.`);
+                } else {
+                    console.log(`=== ${file} ===`);
+                    errors.forEach(error => console.log(`  ${error.field}: ${error.message}`));
+                    console.log(`\n❌ ${errors.length} error(s) found.`);
+                }
+
+                if (errors.length > 0) process.exit(1);
+            } catch (error) {
+                console.error(`Failed to validate input: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('check-dataset')
+        .description('Validate dataset items (.json or .jsonl) against the dataset schema generated from the spec')
+        .argument('<file>', 'Dataset file (JSON array or JSON Lines)')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('--schema <path>', 'Validate against an existing dataset_schema.json instead of the spec')
+        .option('--input <file>', 'Input the items were scraped with; warns about field_groups it enabled that stayed empty')
+        .option('--max-errors <n>', 'Maximum number of invalid items to print', '20')
+        .option('-f, --format <format>', 'Output format (json, pretty)', 'pretty')
+        .action(async (file, cmd) => {
+            try {
+                const datasetSchema = loadGeneratedSchema(cmd, 'generateDatasetSchema');
+                const items = DataValidator.readItems(file);
+                const result = DataValidator.validateItems(items, datasetSchema.fields || {});
+
+                if (cmd.input) {
+                    const yamlData = Websy.loadSpec(cmd.spec, { env: cmd.env });
+                    const manager = new ActorSchemaManager(yamlData?.schemas || {}, { dryRun: true });
+                    const input = JSON.parse(fs.readFileSync(cmd.input, 'utf8'));
+                    const disabled = manager.getEmptyFieldsForInput(input);
+                    result.emptyGroupFields = {};
+                    for (const [groupName, group] of Object.entries(manager.getFieldGroups())) {
+                        if (group.toggles.length === 0) continue;
+                        for (const fieldName of group.fields) {
+                            if (disabled[fieldName]) continue;
+                            const filled = items.some(item => item?.[fieldName] !== undefined && item[fieldName] !== null);
+                            if (!filled) result.emptyGroupFields[fieldName] = groupName;
+                        }
+                    }
+                }
+
+                if (cmd.format === 'json') {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    const maxErrors = parseInt(cmd.maxErrors, 10);
+                    for (const invalid of result.items.slice(0, maxErrors)) {
+                        console.log(`\nItem #${invalid.index}:`);
+                        invalid.errors.forEach(error => console.log(`  ${error.field}: ${error.message}`));
+                    }
+                    if (result.items.length > maxErrors) {
+                        console.log(`\n... and ${result.items.length - maxErrors} more invalid item(s)`);
+                    }
+
+                    console.log('\n=== Summary ===');
+                    console.log(`Items checked: ${result.total}`);
+                    console.log(`Valid items:   ${result.total - result.invalid}`);
+                    console.log(`Invalid items: ${result.invalid}`);
+
+                    const fieldErrors = Object.entries(result.fieldErrors).sort((a, b) => b[1] - a[1]);
+                    if (fieldErrors.length > 0) {
+                        console.log('\nErrors per field:');
+                        fieldErrors.forEach(([field, count]) => console.log(`  ${field}: ${count}`));
+                    }
+
+                    const unknown = Object.entries(result.unknownFields);
+                    if (unknown.length > 0) {
+                        console.log('\n⚠️  Fields not in the dataset schema:');
+                        unknown.forEach(([field, count]) => console.log(`  ${field}: ${count} item(s)`));
+                    }
+
+                    const emptyGroupFields = Object.entries(result.emptyGroupFields || {});
+                    if (emptyGroupFields.length > 0) {
+                        console.log('\n⚠️  Fields enabled by the input but empty in every item:');
+                        emptyGroupFields.forEach(([field, group]) => console.log(`  ${field} (field_group '${group}')`));
+                    }
+
+                    console.log(result.invalid === 0 ? '\n✅ All items are valid.' : `\n❌ ${result.invalid} invalid item(s).`);
+                }
+
+                if (result.invalid > 0) process.exit(1);
+            } catch (error) {
+                console.error(`Failed to check dataset: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('infer-dataset')
+        .description('Infer schemas.dataset.fields from sample items (.json/.jsonl file or a run\'s dataset)')
+        .argument('[file]', 'Sample items (JSON array or JSON Lines)')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('--run <runId>', 'Use the dataset items of this run instead of a file')
+        .option('--dry-run', 'Print the updated spec without writing it')
+        .option('-v, --verbose', 'Show detailed output')
+        .action(async (file, cmd) => {
+            try {
+                if (!file && !cmd.run) {
+                    throw new Error('Pass a sample file or --run <runId>.');
+                }
+                const items = cmd.run ? await new Websy().getRunData(cmd.run) : DataValidator.readItems(file);
+                if (!Array.isArray(items) || items.length === 0) {
+                    throw new Error('No sample items found.');
+                }
+
+                const { fields, optional, warnings } = DatasetInferrer.inferFields(items);
+                warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+                const content = fs.existsSync(cmd.spec) ? fs.readFileSync(cmd.spec, 'utf8') : '';
+                const doc = parseDocument(content);
+                const datasetPath = ['schemas', 'dataset'];
+                const merged = DatasetInferrer.mergeIntoDataset(doc.getIn(datasetPath)?.toJSON?.() || {}, fields);
+                merged.skipped.forEach(name => console.warn(`⚠️  ${name} is declared more than once in schemas.dataset (fields/field_groups), skipped`));
+
+                // Each field stays where it is declared: in `fields` or in its field_group
+                const changedPaths = [];
+                if (merged.fields) changedPaths.push([...datasetPath, 'fields']);
+                for (const group of Object.keys(merged.groups)) changedPaths.push([...datasetPath, 'field_groups', group]);
+                const isNew = changedPaths.some(path => !isMap(doc.getIn(path, true)));
+                if (merged.fields) Websy.setInDocument(doc, [...datasetPath, 'fields'], merged.fields);
+                for (const [group, groupFields] of Object.entries(merged.groups)) {
+                    Websy.setInDocument(doc, [...datasetPath, 'field_groups', group], groupFields);
+                }
+
+                // Flag sometimes-missing top-level fields right in the spec, keeping the user's own comments
+                const candidates = optional.filter(({ field }) => !merged.grouped.includes(field) && !merged.skipped.includes(field));
+                const fieldsNode = doc.getIn([...datasetPath, 'fields'], true);
+                for (const { field, present, total } of candidates) {
+                    const pair = fieldsNode?.items?.find(item => (item.key?.value ?? item.key) === field);
+                    if (!pair) continue;
+                    if (!isScalar(pair.key)) pair.key = doc.createNode(pair.key);
+                    const note = ` present in ${present}/${total} sample items - candidate for a field_group`;
+                    const kept = (pair.key.commentBefore || '').split('\n').filter(line => line && !/^ present in \d+\/\d+ sample items - /.test(line));
+                    pair.key.commentBefore = [...kept, note].join('\n');
+                }
+                const updatedContent = isNew ? doc.toString() : Websy.spliceSpecNodes(content, doc, changedPaths);
+
+                console.log(`Inferred ${Object.keys(fields).length} field(s) from ${items.length} item(s): ${merged.added.length} added, ${merged.updated.length} updated.`);
+                if (cmd.verbose) {
+                    merged.added.forEach(name => console.log(`  + ${name}`));
+                    merged.updated.forEach(name => console.log(`  ~ ${name}`));
+                }
+                if (merged.unseen.length > 0) {
+                    console.log(`⚠️  Not present in any sample item (kept): ${merged.unseen.join(', ')}`);
+                }
+                if (candidates.length > 0) {
+                    console.log('\n💡 Missing from some items, candidates for a field_group:');
+                    candidates.forEach(({ field, present, total }) => console.log(`  ${field}: present in ${present}/${total}`));
+                }
+
+                if (cmd.dryRun) {
+                    console.log('\n=== DRY RUN - Updated Spec ===\n');
+                    console.log(updatedContent);
+                    console.log('\n🚨 Dry run mode - no files written. Use without --dry-run to write files.');
+                    return;
+                }
+
+                fs.writeFileSync(cmd.spec, updatedContent, 'utf8');
+                console.log(`✅ Updated schemas.dataset in ${cmd.spec}`);
+            } catch (error) {
+                console.error(`Failed to infer dataset fields: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('spec')
+        .description('Print the spec file, optionally with extends and environment overlays resolved')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('-e, --env <name>', 'Apply the named overlay from `environments`')
+        .option('--resolved', 'Print the effective spec after resolving extends/environments')
+        .option('-f, --format <format>', 'Output format (yaml, json)', 'yaml')
+        .action(async (cmd) => {
+            try {
+                const spec = cmd.resolved || cmd.env
+                    ? Websy.loadSpec(cmd.spec, { env: cmd.env })
+                    : yaml.load(fs.readFileSync(cmd.spec, 'utf8'));
+
+                if (cmd.format === 'json') {
+                    console.log(JSON.stringify(spec, null, 2));
+                } else {
+                    process.stdout.write(yaml.dump(spec, { lineWidth: -1, noRefs: true }));
+                }
+            } catch (error) {
+                console.error(`Failed to print spec: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('import')
+        .description('Build the `schemas` section of websy-spec.yml from existing .actor/*.json files')
+        .option('-s, --spec <path>', 'Path to spec file', './websy-spec.yml')
+        .option('--dry-run', 'Preview the imported section without writing the spec')
+        .option('-v, --verbose', 'Show detailed output')
+        .action(async (cmd) => {
+            try {
+                const { schemas, warnings } = ActorSchemaManager.importFromActorDir(process.cwd());
+
+                warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+                const existing = fs.existsSync(cmd.spec) ? fs.readFileSync(cmd.spec, 'utf8') : '';
+                const updated = Websy.replaceSpecSection(existing, 'schemas', schemas);
+
+                if (cmd.dryRun) {
+                    console.log('\n=== DRY RUN - Imported Spec ===\n');
+                    console.log(updated);
+                    console.log('\n🚨 Dry run mode - no files written. Use without --dry-run to write files.');
+                    return;
+                }
+
+                fs.writeFileSync(cmd.spec, updated, 'utf8');
+                if (cmd.verbose) console.log(`Written: ${cmd.spec}`);
+                console.log(`✅ Imported .actor/*.json into ${cmd.spec}`);
+            } catch (error) {
+                console.error(`Failed to import schemas: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('mock-server')
+        .description('Serve a local, fixture-backed stand-in for the Apify API endpoints websy uses')
+        .option('--fixtures <path>', 'Fixture file (.yml/.json) or directory')
+        .option('-p, --port <port>', 'Port to listen on', '8137')
+        .option('--host <host>', 'Interface to bind', '127.0.0.1')
+        .option('--token <token>', 'Only accept this API token (any token is accepted by default)')
+        .option('--job-status <status>', `Final status of runs and builds (${TERMINAL_RUN_STATUSES.join(', ')})`, 'SUCCEEDED')
+        .option('-v, --verbose', 'Log each request')
+        .action(async (cmd) => {
+            try {
+                if (!TERMINAL_RUN_STATUSES.includes(cmd.jobStatus)) {
+                    throw new Error(`Invalid --job-status '${cmd.jobStatus}' (use ${TERMINAL_RUN_STATUSES.join(', ')})`);
+                }
+                const server = new MockApiServer({
+                    fixtures: cmd.fixtures,
+                    token: cmd.token,
+                    jobStatus: cmd.jobStatus,
+                    onRequest: cmd.verbose ? request => console.log(`${request.method} ${request.path}`) : null
+                });
+                const { url, apiBaseUrl, consoleBaseUrl } = await server.start(parseInt(cmd.port, 10), cmd.host);
+
+                console.log(`✅ Mock Apify API listening on ${url} (${server.actors.size} actor(s) loaded)`);
+                console.log('💡 Point websy at it with:');
+                console.log(`   export APIFY_API_BASE_URL=${apiBaseUrl}`);
+                console.log(`   export APIFY_CONSOLE_BASE_URL=${consoleBaseUrl}`);
+                console.log(`   export APIFY_TOKEN=${server.token || 'any-token'}`);
+                console.log(`   Recorded requests: ${url}/_mock/requests, state: ${url}/_mock/state, reset: POST ${url}/_mock/reset`);
+
+                process.once('SIGINT', async () => {
+                    await server.stop();
+                    process.exit(0);
+                });
+            } catch (error) {
+                console.error(`Failed to start mock server: ${error.message}`);
+                process.exit(1);
+            }
+        });
+
     program.parse();
 }
 
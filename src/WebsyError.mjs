@@ -0,0 +1,102 @@
+// WebsyError.mjs
+
+/**
+ * WebsyError - Base class of the errors thrown by the websy library
+ * Library code throws these instead of printing and exiting; the CLI prints `message` and exits.
+ */
+class WebsyError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [options] - Error options
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * SpecError - The spec file is missing, can't be parsed, or is structurally wrong
+ */
+class SpecError extends WebsyError {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [options] - Error options
+     * @param {string} [options.path] - Spec file path
+     * @param {object[]} [options.problems] - Lint problems ({ file, line, col, path, message })
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.path = options.path || null;
+        this.problems = options.problems || [];
+    }
+}
+
+/**
+ * ValidationError - Spec values, schemas, input or dataset items failed validation
+ */
+class ValidationError extends WebsyError {
+    /**
+     * @param {string} message - Error message
+     * @param {Array} [errors] - Individual validation errors (strings or { field, message })
+     */
+    constructor(message, errors = []) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+/**
+ * ApiError - An Apify API (or Console backend) request failed
+ */
+class ApiError extends WebsyError {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [options] - Error options
+     * @param {number} [options.statusCode] - HTTP status (null for network errors)
+     * @param {*} [options.body] - Response body
+     * @param {string} [options.method] - Request method
+     * @param {string} [options.url] - Request URL
+     * @param {Error} [options.cause] - Underlying got error
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.statusCode = options.statusCode ?? null;
+        this.body = options.body;
+        this.method = options.method || null;
+        this.url = options.url || null;
+    }
+
+    /**
+     * Wrap a got error, picking AuthError for 401/403
+     * @param {Error} error - got error (or any error)
+     * @param {string} action - What was attempted, e.g. 'update actor'
+     * @returns {ApiError} - Typed error
+     */
+    static from(error, action) {
+        if (error instanceof WebsyError) return error;
+
+        const statusCode = error.response?.statusCode ?? null;
+        const body = error.response?.body;
+        const apiMessage = body?.error?.message || (typeof body === 'string' && body.trim()) || error.message;
+        const status = statusCode ? ` (HTTP ${statusCode}${body?.error?.type ? ` ${body.error.type}` : ''})` : '';
+        const options = {
+            statusCode,
+            body,
+            method: error.options?.method,
+            url: error.options?.url ? String(error.options.url) : undefined,
+            cause: error
+        };
+        const ErrorClass = statusCode === 401 || statusCode === 403 ? AuthError : ApiError;
+        return new ErrorClass(`Could not ${action}${status}: ${apiMessage}`, options);
+    }
+}
+
+/**
+ * AuthError - No API token, or the API rejected it (401/403)
+ */
+class AuthError extends ApiError {}
+
+export { WebsyError, SpecError, ValidationError, ApiError, AuthError };
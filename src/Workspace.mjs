@@ -0,0 +1,147 @@
+// Workspace.mjs
+import fs from 'fs';
+import { join, dirname, basename, resolve } from 'path';
+import yaml from 'js-yaml';
+import { Logger } from './Logger.mjs';
+import { SpecError } from './WebsyError.mjs';
+
+/**
+ * Workspace - Runs websy commands across many actors listed in websy-workspace.yml
+ *
+ * Format:
+ *   actors:
+ *     - actors/theme-scraper            # shorthand: directory only
+ *     - dir: actors/job-scraper
+ *       name: jobs                      # optional, defaults to the directory name
+ *       spec: websy-spec.prod.yml       # optional, relative to dir (default: websy-spec.yml)
+ *       id: myuser~job-scraper          # optional actor ID override
+ */
+class Workspace {
+    /**
+     * @param {object[]} actors - Normalized actor entries { name, dir, spec, id }
+     * @param {string} rootDir - Directory the workspace file lives in
+     * @param {object} options - Additional options
+     * @param {object} options.logger - Logger with info/warn/error/debug (default: console)
+     */
+    constructor(actors, rootDir = process.cwd(), options = {}) {
+        this.actors = actors;
+        this.rootDir = rootDir;
+        this.logger = Logger.from(options.logger);
+    }
+
+    /**
+     * Load and normalize a workspace file
+     * @param {string} workspacePath - Path to websy-workspace.yml
+     * @param {object} options - Options passed to the constructor (logger)
+     * @returns {Workspace} - The loaded workspace
+     * @throws {SpecError} - When the file is missing or has no valid `actors` list
+     */
+    static load(workspacePath, options = {}) {
+        if (!fs.existsSync(workspacePath)) {
+            throw new SpecError(`Workspace file not found: ${workspacePath}`, { path: workspacePath });
+        }
+
+        const data = yaml.load(fs.readFileSync(workspacePath, 'utf8')) || {};
+        if (!Array.isArray(data.actors)) {
+            throw new SpecError('Workspace file must contain an `actors` list.', { path: workspacePath });
+        }
+
+        const rootDir = dirname(resolve(workspacePath));
+        const actors = data.actors.map((entry, index) => {
+            const config = typeof entry === 'string' ? { dir: entry } : (entry || {});
+            if (!config.dir) {
+                throw new SpecError(`Workspace entry #${index + 1} is missing \`dir\`.`, { path: workspacePath });
+            }
+            const dir = resolve(rootDir, config.dir);
+            return {
+                name: config.name || basename(dir),
+                dir,
+                spec: join(dir, config.spec || 'websy-spec.yml'),
+                id: config.id || null
+            };
+        });
+
+        return new Workspace(actors, rootDir, options);
+    }
+
+    /**
+     * Convert a glob pattern to a RegExp (supports *, **, ? and [...] classes)
+     * @param {string} pattern - Glob pattern
+     * @returns {RegExp} - Equivalent regular expression
+     */
+    static globToRegExp(pattern) {
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '*' && pattern[i + 1] === '*') {
+                source += '.*';
+                i++;
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[' && pattern.indexOf(']', i + 1) !== -1) {
+                const close = pattern.indexOf(']', i + 1);
+                source += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = close;
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Select actors whose name or workspace-relative directory matches a glob
+     * @param {string} [pattern] - Glob pattern; all actors when omitted
+     * @returns {object[]} - Matching actor entries
+     */
+    select(pattern) {
+        if (!pattern) return this.actors;
+        const regex = Workspace.globToRegExp(pattern);
+        return this.actors.filter(actor => {
+            const relDir = actor.dir.slice(this.rootDir.length + 1);
+            return regex.test(actor.name) || regex.test(relDir);
+        });
+    }
+
+    /**
+     * Run a task for each selected actor, isolating failures
+     * @param {object[]} actors - Actor entries to run for
+     * @param {Function} task - async (actor) => string|void, a short summary for the table
+     * @returns {Promise<object[]>} - Results { name, ok, summary }
+     */
+    async runEach(actors, task) {
+        const results = [];
+        for (const actor of actors) {
+            this.logger.info(`\n━━━ ${actor.name} (${actor.dir}) ━━━`);
+            try {
+                const summary = await task(actor);
+                results.push({ name: actor.name, ok: true, summary: summary || 'OK' });
+            } catch (error) {
+                this.logger.error(`❌ ${actor.name}: ${error.message}`);
+                results.push({ name: actor.name, ok: false, summary: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Print a summary table of runEach results
+     * @param {object[]} results - Results from runEach
+     */
+    printSummary(results) {
+        const nameWidth = Math.max(5, ...results.map(r => r.name.length));
+        this.logger.info('\n=== Workspace Summary ===');
+        this.logger.info(`${'Actor'.padEnd(nameWidth)}  Status  Details`);
+        this.logger.info(`${'-'.repeat(nameWidth)}  ------  -------`);
+        for (const result of results) {
+            const status = (result.ok ? 'ok' : 'failed').padEnd(6);
+            this.logger.info(`${result.name.padEnd(nameWidth)}  ${status}  ${result.summary}`);
+        }
+        const failed = results.filter(r => !r.ok).length;
+        this.logger.info(`\n${results.length - failed} succeeded, ${failed} failed.`);
+    }
+}
+
+export { Workspace };
@@ -0,0 +1,23 @@
+// index.mjs - Library entry point (`import { Websy, ActorSchemaManager } from 'websy'`)
+//
+// Nothing here prints or exits on its own: failures are thrown as the typed errors from
+// WebsyError.mjs, and progress messages go to the `logger` passed to Websy / ActorSchemaManager.
+// The `websy` CLI (Websy.mjs) is built on these classes.
+import Websy from './Websy.mjs';
+
+export { Websy };
+export { ActorSchemaManager } from './ActorSchemaManager.mjs';
+export { SpecLinter } from './SpecLinter.mjs';
+export { DataValidator } from './DataValidator.mjs';
+export { DatasetInferrer } from './DatasetInferrer.mjs';
+export { ReadmeGenerator } from './ReadmeGenerator.mjs';
+export { TypeGenerator } from './TypeGenerator.mjs';
+export { ProjectScaffolder } from './ProjectScaffolder.mjs';
+export { Workspace } from './Workspace.mjs';
+export { ActorIcon } from './ActorIcon.mjs';
+export { ApiClient } from './ApiClient.mjs';
+export { MockApiServer } from './MockApiServer.mjs';
+export { Logger } from './Logger.mjs';
+export { CredentialStore } from './CredentialStore.mjs';
+export { WebsyError, SpecError, ValidationError, ApiError, AuthError } from './WebsyError.mjs';
+export default Websy;
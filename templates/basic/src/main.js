@@ -0,0 +1,17 @@
+import { Actor, log } from 'apify';
+
+await Actor.init();
+
+// Fields declared in websy-spec.yml (defaults from prefill/default)
+const input = (await Actor.getInput()) ?? {};
+{{inputFields}}
+
+for (const { url } of startUrls.slice(0, maxItems)) {
+    log.info(`Processing ${url}`);
+    const response = await fetch(url);
+    const html = await response.text();
+    const title = html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1]?.trim() ?? null;
+    await Actor.pushData({ url, title });
+}
+
+await Actor.exit();
@@ -0,0 +1,23 @@
+import { Actor } from 'apify';
+import { CheerioCrawler } from 'crawlee';
+
+await Actor.init();
+
+// Fields declared in websy-spec.yml (defaults from prefill/default)
+const input = (await Actor.getInput()) ?? {};
+{{inputFields}}
+
+const crawler = new CheerioCrawler({
+    maxRequestsPerCrawl: maxItems,
+    async requestHandler({ request, $, log }) {
+        log.info(`Processing ${request.url}`);
+        await Actor.pushData({
+            url: request.url,
+            title: $('title').text().trim() || null
+        });
+    }
+});
+
+await crawler.run(startUrls);
+
+await Actor.exit();
@@ -0,0 +1,101 @@
+// ActorSchemaManager.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+import { ActorSchemaManager } from '../src/ActorSchemaManager.mjs';
+import { Logger } from '../src/Logger.mjs';
+
+const EXAMPLE_SPEC = fileURLToPath(new URL('../example-websy-spec.yml', import.meta.url));
+
+const schemas = {
+    actor: { name: 'theme-scraper', version: '0.1' },
+    input: {
+        fields: {
+            fetch_reviews: { title: 'Fetch Reviews', type: 'boolean', prefill: false, group: 'reviews' }
+        }
+    },
+    dataset: {
+        fields: { name: { desc: 'Theme name' } },
+        field_groups: { reviews: { reviews: { desc: 'Array of user reviews', array: true } } },
+        views: { overview: { title: 'Overview', fields: ['name'] } }
+    }
+};
+
+const generateDataset = () => new ActorSchemaManager(schemas, { dryRun: true, logger: Logger.silent() }).generateDatasetSchema();
+
+test('toggle note is a separate sentence of the field description', () => {
+    const description = generateDataset().fields.properties.reviews.description;
+    assert.equal(description, 'Array of user reviews. Filled when "Fetch Reviews" is enabled.');
+});
+
+test('import rebuilds the field_group from the toggle note and the group view', () => {
+    const dataset = generateDataset();
+    assert.ok(dataset.views.overview_reviews);
+
+    const warnings = [];
+    const input = { fields: { fetch_reviews: { title: 'Fetch Reviews', type: 'boolean', prefill: false } } };
+    const imported = ActorSchemaManager.importDatasetSchema(dataset, warnings, input);
+    assert.equal(imported.fields.reviews, undefined);
+    assert.equal(imported.field_groups.reviews.reviews.desc, 'Array of user reviews.');
+    assert.deepEqual(Object.keys(imported.views), ['overview']);
+    assert.equal(input.fields.fetch_reviews.group, 'reviews');
+    assert.deepEqual(warnings, []);
+});
+
+test('export followed by import reproduces the schema files of example-websy-spec.yml', () => {
+    const example = yaml.load(fs.readFileSync(EXAMPLE_SPEC, 'utf8')).schemas;
+    example.actor.name = 'theme-scraper';
+    const basePath = fs.mkdtempSync(join(os.tmpdir(), 'websy-'));
+    try {
+        const exported = new ActorSchemaManager(example, { basePath, logger: Logger.silent() }).generateAllSchemas();
+        const { schemas: imported, warnings } = ActorSchemaManager.importFromActorDir(basePath);
+
+        assert.deepEqual(warnings, []);
+        assert.equal(imported.input.fields.do_fetch_reviews.group, 'reviews');
+        assert.deepEqual(Object.keys(imported.dataset.field_groups.reviews), ['reviews']);
+        assert.equal(imported.output.links, undefined);
+        assert.deepEqual(new ActorSchemaManager(imported, { dryRun: true, logger: Logger.silent() }).buildAllSchemas(), exported);
+    } finally {
+        fs.rmSync(basePath, { recursive: true, force: true });
+    }
+});
+
+test('import drops output links to views the spec no longer generates', () => {
+    const imported = { dataset: { fields: { name: {} }, views: { overview: { fields: ['name'] } } } };
+    const outputSchema = new ActorSchemaManager(imported).generateOutputSchema();
+    outputSchema.properties.overview_reviews = { type: 'string', title: 'Overview + Reviews', template: '{{links.apiDefaultDatasetUrl}}/items?view=overview_reviews' };
+
+    const warnings = [];
+    const output = ActorSchemaManager.importOutputSchema(outputSchema, imported, warnings);
+    assert.equal(output.links, undefined);
+    assert.equal(warnings.length, 1);
+});
+
+test('merge keeps hand-added storages and --check reports orphaned schema files', () => {
+    const basePath = fs.mkdtempSync(join(os.tmpdir(), 'websy-'));
+    try {
+        fs.mkdirSync(join(basePath, '.actor'));
+        const actorJson = { storages: { dataset: './dataset_schema.json', keyValueStore: './key_value_store_schema.json' } };
+        fs.writeFileSync(join(basePath, '.actor', 'actor.json'), JSON.stringify(actorJson));
+        fs.writeFileSync(join(basePath, '.actor', 'key_value_store_schema.json'), '{}');
+
+        const manager = new ActorSchemaManager(schemas, { basePath, merge: true, logger: Logger.silent() });
+        assert.equal(manager.buildAllSchemas().actor.storages.keyValueStore, './key_value_store_schema.json');
+
+        const orphaned = manager.diffSchemaFiles().filter(result => result.status === 'orphaned');
+        assert.deepEqual(orphaned.map(result => result.file), ['key_value_store_schema.json']);
+    } finally {
+        fs.rmSync(basePath, { recursive: true, force: true });
+    }
+});
+
+test('output schema keeps the results link next to the view entries', () => {
+    const output = new ActorSchemaManager(schemas, { dryRun: true, logger: Logger.silent() }).generateOutputSchema();
+    assert.deepEqual(Object.keys(output.properties), ['results', 'overview', 'overview_reviews']);
+    assert.equal(output.properties.results.template, '{{links.apiDefaultDatasetUrl}}/items');
+});
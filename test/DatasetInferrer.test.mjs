@@ -0,0 +1,48 @@
+// DatasetInferrer.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+import { DatasetInferrer } from '../src/DatasetInferrer.mjs';
+
+const EXAMPLE_SPEC = fileURLToPath(new URL('../example-websy-spec.yml', import.meta.url));
+
+const items = [
+    { themeId: 'dawn', name: 'Dawn', reviews: [{ reviewerName: 'Ann', reviewDate: '2025-01-02', reviewText: 'Great', designerReply: null }], extra: 'x' },
+    { themeId: 'prestige', name: 'Prestige', reviews: null }
+];
+
+test('mergeIntoDataset merges fields declared in a field_group into that group', () => {
+    const dataset = yaml.load(fs.readFileSync(EXAMPLE_SPEC, 'utf8')).schemas.dataset;
+    const { fields } = DatasetInferrer.inferFields(items);
+    const merged = DatasetInferrer.mergeIntoDataset(dataset, fields);
+
+    assert.equal(merged.fields.reviews, undefined);
+    assert.equal(merged.groups.reviews.reviews.desc, 'Array of user reviews');
+    assert.equal(merged.groups.reviews.reviews.array, true);
+    assert.equal(merged.groups.reviews.reviews.items.properties.reviewDate.format, 'date');
+    assert.deepEqual(merged.added, ['extra']);
+    assert.ok(merged.fields.extra);
+    assert.deepEqual(merged.grouped, ['reviews']);
+    assert.ok(merged.updated.includes('reviews.reviews'));
+});
+
+test('mergeIntoDataset leaves fields alone when nothing top-level was inferred', () => {
+    const dataset = { fields: { name: { desc: 'Name' } }, field_groups: { extras: { note: { desc: 'Note' } } } };
+    const merged = DatasetInferrer.mergeIntoDataset(dataset, { note: { nullable: false } });
+
+    assert.equal(merged.fields, null);
+    assert.deepEqual(merged.groups.extras.note, { desc: 'Note', nullable: false });
+    assert.deepEqual(merged.unseen, ['name']);
+});
+
+test('mergeIntoDataset skips fields declared more than once', () => {
+    const dataset = { fields: { note: { desc: 'Top' } }, field_groups: { extras: { note: { desc: 'Grouped' } } } };
+    const merged = DatasetInferrer.mergeIntoDataset(dataset, { note: { nullable: false } });
+
+    assert.deepEqual(merged.skipped, ['note']);
+    assert.equal(merged.fields, null);
+    assert.deepEqual(merged.groups, {});
+});
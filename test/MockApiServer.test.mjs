@@ -0,0 +1,62 @@
+// MockApiServer.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+import { MockApiServer } from '../src/MockApiServer.mjs';
+
+const CLI = fileURLToPath(new URL('../src/Websy.mjs', import.meta.url));
+
+const SPEC = `actor_details:
+  title: Theme Scraper
+  categories:
+    - ECOMMERCE
+  isPublic: false
+  defaultRunOptions:
+    memoryMbytes: 2048
+versions:
+  "0.1":
+    source_type: source_files
+    build_tag: beta
+`;
+
+test('websy update sends only the changed fields and versions to the API', async () => {
+    // defaultRunOptions is compared per key and sent merged into the online object
+    const server = new MockApiServer({ state: { username: 'tester', actors: [{ name: 'theme-scraper', title: 'Old title' }] } });
+    await server.start();
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'websy-'));
+    try {
+        fs.writeFileSync(join(dir, 'websy-spec.yml'), SPEC);
+        await promisify(execFile)(process.execPath, [CLI, 'update', '--id', 'actor00001', '--yes'], {
+            cwd: dir,
+            env: {
+                ...process.env,
+                HOME: dir,
+                WEBSY_CONFIG_DIR: dir,
+                APIFY_TOKEN: 'test-token',
+                APIFY_API_BASE_URL: server.apiBaseUrl,
+                APIFY_CONSOLE_BASE_URL: server.consoleBaseUrl,
+                WEBSY_RETRIES: '0'
+            }
+        });
+
+        const actorPuts = server.findRequests({ method: 'PUT', path: /^\/v2\/acts\/[^/]+$/ });
+        assert.equal(actorPuts.length, 1);
+        assert.deepEqual(actorPuts[0].body, {
+            title: 'Theme Scraper',
+            categories: ['ECOMMERCE'],
+            defaultRunOptions: { build: 'latest', memoryMbytes: 2048, timeoutSecs: 3600 }
+        });
+
+        const versionPuts = server.findRequests({ method: 'PUT', path: '/v2/acts/actor00001/versions/' });
+        assert.deepEqual(versionPuts.map(request => [request.path, request.body.buildTag]), [['/v2/acts/actor00001/versions/0.1', 'beta']]);
+    } finally {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,28 @@
+// SpecLinter.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SpecLinter } from '../src/SpecLinter.mjs';
+
+test('lintContent rejects version keys that YAML reads as numbers', () => {
+    const content = [
+        'versions:',
+        '  1.10:',
+        '    source_type: source_files',
+        '  "1.2":',
+        '    source_type: source_files',
+        'environments:',
+        '  prod:',
+        '    versions:',
+        '      0.1:',
+        '        source_type: source_files',
+        ''
+    ].join('\n');
+    const problems = new SpecLinter().lintContent(content).filter(problem => problem.message.includes('read as the number'));
+
+    assert.deepEqual(problems.map(problem => [problem.line, problem.path]), [
+        [2, 'versions.1.10'],
+        [9, 'environments.prod.versions.0.1']
+    ]);
+    assert.match(problems[0].message, /number 1\.1, quote it/);
+});
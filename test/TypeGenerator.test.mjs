@@ -0,0 +1,20 @@
+// TypeGenerator.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+import { TypeGenerator } from '../src/TypeGenerator.mjs';
+
+const EXAMPLE_SPEC = fileURLToPath(new URL('../example-websy-spec.yml', import.meta.url));
+
+test('dataset validator requires what DatasetItem declares as required', () => {
+    const schemas = yaml.load(fs.readFileSync(EXAMPLE_SPEC, 'utf8')).schemas;
+    const source = new TypeGenerator(schemas).renderValidators();
+    const itemSchema = JSON.parse(source.match(/^const DATASET_ITEM_SCHEMA: JsonSchema = (.*);$/m)[1]);
+
+    assert.ok(itemSchema.required.includes('themeId'));
+    assert.ok(!itemSchema.required.includes('reviews'));
+    assert.deepEqual(itemSchema.properties.reviews.items.required, ['reviewerName', 'reviewDate', 'reviewText', 'designerReply']);
+});
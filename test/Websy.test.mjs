@@ -0,0 +1,118 @@
+// Websy.test.mjs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseDocument } from 'yaml';
+
+import Websy from '../src/Websy.mjs';
+import { MockApiServer } from '../src/MockApiServer.mjs';
+import { Logger } from '../src/Logger.mjs';
+import { ApiError } from '../src/WebsyError.mjs';
+
+const EXAMPLE_SPEC = fileURLToPath(new URL('../example-websy-spec.yml', import.meta.url));
+
+test('spliceSpecNodes only rewrites the changed maps', () => {
+    const content = fs.readFileSync(EXAMPLE_SPEC, 'utf8');
+    const doc = parseDocument(content);
+    const path = ['schemas', 'dataset', 'field_groups', 'reviews'];
+    doc.setIn([...path, 'reviews', 'array'], true);
+
+    const updated = Websy.spliceSpecNodes(content, doc, [path]);
+    const node = parseDocument(content).getIn(path, true);
+    const [start, , end] = node.range;
+
+    assert.equal(updated.slice(0, start), content.slice(0, start));
+    assert.equal(updated.slice(updated.length - (content.length - end)), content.slice(end));
+    assert.equal(parseDocument(updated).getIn([...path, 'reviews', 'array']), true);
+    assert.equal(parseDocument(updated).getIn([...path, 'reviews', 'desc']), 'Array of user reviews');
+});
+
+test('pull only plans keys the spec declares and writes them where they are declared', () => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'websy-'));
+    try {
+        fs.writeFileSync(join(dir, 'base.yml'), 'actor_details:\n  defaultRunOptions:\n    memoryMbytes: 512\n');
+        fs.writeFileSync(join(dir, 'websy-spec.yml'), [
+            'extends: base.yml',
+            'actor_details:',
+            '  title: Local',
+            'environments:',
+            '  prod:',
+            '    actor_details:',
+            '      title: Prod',
+            ''
+        ].join('\n'));
+        const specPath = join(dir, 'websy-spec.yml');
+        const local = Websy.loadSpec(specPath, { env: 'prod' }).actor_details;
+        const online = { title: 'Online', notice: 'NONE', isDeprecated: false, defaultRunOptions: { build: 'latest', memoryMbytes: 1024 } };
+
+        const changes = Websy.planPull(local, online, null);
+        assert.deepEqual(changes.map(change => [change.field, change.online]), [['title', 'Online'], ['defaultRunOptions.memoryMbytes', 1024]]);
+
+        assert.deepEqual(Websy.locateSpecValue(specPath, 'prod', ['actor_details', 'title']),
+            { file: specPath, path: ['environments', 'prod', 'actor_details', 'title'] });
+        assert.deepEqual(Websy.locateSpecValue(specPath, undefined, ['actor_details', 'title']),
+            { file: specPath, path: ['actor_details', 'title'] });
+        assert.deepEqual(Websy.locateSpecValue(specPath, 'prod', ['actor_details', 'defaultRunOptions', 'memoryMbytes']),
+            { file: join(dir, 'base.yml'), path: ['actor_details', 'defaultRunOptions', 'memoryMbytes'] });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('waitForRun passes each part of the log once and getLog only treats 404 as a missing log', async () => {
+    const server = new MockApiServer({ token: 'test-token', state: { username: 'tester', actors: [{ name: 'theme-scraper' }] } });
+    await server.start();
+    try {
+        const websy = new Websy({ apiToken: 'test-token', baseUrl: server.apiBaseUrl, transport: { retries: 0 }, logger: Logger.silent() });
+        const { data: run } = await websy.runActor('actor00001', { maxItems: 2 });
+        const parts = [];
+        const finished = await websy.waitForRun(run.id, { pollIntervalMs: 10, onLog: text => parts.push(text) });
+
+        assert.equal(finished.status, 'SUCCEEDED');
+        assert.equal(parts.join(''), server.logs.get(run.id));
+        assert.match(parts.join(''), /^Run of theme-scraper started/);
+        assert.equal(await websy.getLog('missing'), '');
+        await assert.rejects(
+            new Websy({ apiToken: 'wrong-token', baseUrl: server.apiBaseUrl, transport: { retries: 0 }, logger: Logger.silent() }).getLog(run.id),
+            ApiError
+        );
+    } finally {
+        await server.stop();
+    }
+});
+
+test('updateActorIcon keeps the other customData keys of the actor', async () => {
+    const server = new MockApiServer({ state: { username: 'tester', actors: [{ name: 'theme-scraper', customData: { owner: 'team-a' } }] } });
+    await server.start();
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'websy-'));
+    try {
+        const iconPath = join(dir, 'icon.png');
+        fs.writeFileSync(iconPath, Buffer.from('png'));
+        const websy = new Websy({ apiToken: 'test-token', baseUrl: server.apiBaseUrl, transport: { retries: 0 }, logger: Logger.silent() });
+        await websy.updateActorIcon('actor00001', iconPath, 'hash1');
+
+        const [put] = server.findRequests({ method: 'PUT', path: '/v2/acts/actor00001' });
+        assert.deepEqual(put.body.customData, { owner: 'team-a', icon: Buffer.from('png').toString('base64'), websyIconHash: 'hash1' });
+    } finally {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('actorIdFor reads .actor/actor.json once', async (t) => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'websy-'));
+    try {
+        fs.mkdirSync(join(dir, '.actor'));
+        fs.writeFileSync(join(dir, '.actor', 'actor.json'), '{ "name": "theme-scraper" }');
+        const websy = new Websy({ apiToken: 'test-token', username: 'tester', logger: Logger.silent() });
+        const readFileSync = t.mock.method(fs, 'readFileSync');
+
+        assert.equal(await websy.actorIdFor(null, dir), 'tester~theme-scraper');
+        assert.equal(readFileSync.mock.calls.filter(call => String(call.arguments[0]).endsWith('actor.json')).length, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});